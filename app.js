@@ -1,862 +1,5783 @@
 /* Inventory Reports Dashboard (Static, Multi-section)
    - Three independent report sections (Stock / Hardware Consumption / Accessories Consumption)
    - Each section mirrors full functionality:
-       Upload CSV, Filters (multi-select), Apply workflow, Presets, Export, Dashboard summary, Sortable table
+       Upload (CSV / Excel / JSON), Filters (multi-select), Apply workflow, Presets, Export, Dashboard summary, Sortable table
    - Light/Dark theme toggle (persisted)
-   - Simple client-side login gate
+   - Sign-in through a pluggable auth provider (demo gate or OIDC with PKCE; configured in config.js)
+   - Parsing/filtering/facets/sorting run in a Web Worker (worker.js + engine.js)
 */
 
-const FORCE_MULTI_COLUMNS = new Set(["model"]);
-
-// ---------- Simple Auth Gate (Client-side) ----------
-const AUTH_USER = "IndeedITAM";
-const AUTH_PASS = "Indeed1234";
-const AUTH_KEY = "reportsDashboardAuth_v1"; // store boolean
-
-function getAuthState() {
-  // prefer session; allow persistent via localStorage
-  const s = sessionStorage.getItem(AUTH_KEY);
-  if (s === "1") return true;
-  const l = localStorage.getItem(AUTH_KEY);
-  return l === "1";
+const ENGINE_WORKER_URL = "worker.js";
+
+// Virtualized table: rows are fixed-height so the visible window can be computed from scrollTop
+const TABLE_ROW_HEIGHT = 36; // keep in sync with `tbody td` height in style.css
+const TABLE_OVERSCAN = 12;   // extra rows rendered above/below the viewport
+const PINNED_COLUMN_WIDTH = 160; // pinned columns without a saved width
+const MIN_COLUMN_WIDTH = 60;
+
+const RULE_MAX_DEPTH = 3;   // nested rule groups below the root
+const RULE_LIST_MAX = 300;  // distinct values offered in a rule's multi-select
+
+const UNDO_LIMIT = 50;       // undo steps kept per section
+const UNDO_MERGE_MS = 1500;  // repeated edits of the same filter within this window are one step
+
+// ---------- Auth ----------
+/* Sign-in goes through a provider chosen in config.js (DASHBOARD_CONFIG.auth.provider):
+     demo  username / password checked in the browser (convenience gate only, not security)
+     oidc  OpenID Connect authorization code flow with PKCE; tokens expire and are refreshed silently
+   Providers share: usesPassword, finishPopup() -> handled?, handleRedirect() -> session | null,
+   signIn({ username, password, remember, popup }) -> session (or null after redirecting away),
+   restore(stored session) -> session | null (user details re-read from config / tokens, not trusted from storage),
+   refresh(session) -> session, signOut(session) -> redirected?
+   A session is { provider, user: { id, name, email, roles }, expiresAt (ms | null, token expiry), remember,
+   signedInAt (ms; the sign-in ends auth.session hours / rememberDays later), ...tokens }.
+*/
+const AUTH_CONFIG = (typeof DASHBOARD_CONFIG !== "undefined" && DASHBOARD_CONFIG.auth) || { provider: "demo", demo: {} };
+const ACCESS_CONFIG = (typeof DASHBOARD_CONFIG !== "undefined" && DASHBOARD_CONFIG.access) || null;
+const SESSION_KEY = "reportsDashboardSession_v2";
+const OIDC_PENDING_KEY = "reportsDashboardOidcPending_v1"; // PKCE verifier / state / nonce during the redirect
+const OIDC_POPUP_NAME = "reportsDashboardSignIn"; // window name of the re-authentication pop-up
+const LOGIN_ATTEMPTS_KEY = "reportsDashboardLoginAttempts_v1";
+const AUDIT_KEY = "reportsDashboardAudit_v1";
+const AUDIT_LIMIT = 2000; // newest entries kept
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout limit
+const HOUR_MS = 60 * 60 * 1000;
+
+function readSession() {
+  for (const store of [sessionStorage, localStorage]) {
+    try {
+      const session = JSON.parse(store.getItem(SESSION_KEY) || "null");
+      if (session?.user) return session;
+    } catch {
+      // unreadable entry: treat as signed out
+    }
+  }
+  return null;
 }
-function setAuthState({ remember }) {
-  if (remember) localStorage.setItem(AUTH_KEY, "1");
-  else sessionStorage.setItem(AUTH_KEY, "1");
+// "Remember me" keeps the session in localStorage; otherwise it ends with the browser tab
+function writeSession(session) {
+  clearSession();
+  (session.remember ? localStorage : sessionStorage).setItem(SESSION_KEY, JSON.stringify(session));
 }
-function clearAuthState() {
-  sessionStorage.removeItem(AUTH_KEY);
-  localStorage.removeItem(AUTH_KEY);
+function clearSession() {
+  sessionStorage.removeItem(SESSION_KEY);
+  localStorage.removeItem(SESSION_KEY);
 }
 
-// ---------- Theme ----------
-const THEME_KEY = "inventoryDashboardTheme_v1";
-function getStoredTheme() {
-  const t = localStorage.getItem(THEME_KEY);
-  return (t === "light" || t === "dark") ? t : "dark";
+function base64UrlEncode(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replaceAll("+", "-").replaceAll("/", "_").replace(/=+$/, "");
 }
-function applyTheme(theme) {
-  document.body.setAttribute("data-theme", theme);
-
-  const btn = document.getElementById("themeToggle");
-  if (btn) btn.textContent = `Theme: ${theme === "light" ? "Light" : "Dark"}`;
-
-  const btnAuth = document.getElementById("themeToggleAuth");
-  if (btnAuth) btnAuth.textContent = `Theme: ${theme === "light" ? "Light" : "Dark"}`;
-
-  localStorage.setItem(THEME_KEY, theme);
+function randomUrlToken(bytes = 32) {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(bytes)));
 }
-function toggleTheme() {
-  const next = getStoredTheme() === "dark" ? "light" : "dark";
-  applyTheme(next);
+// Claims of a JWT. The signature is not checked here: the browser only reads who signed in;
+// services that receive the access token must validate it themselves.
+function decodeJwtClaims(token) {
+  const part = String(token || "").split(".")[1];
+  if (!part) return null;
+  try {
+    const bin = atob(part.replaceAll("-", "+").replaceAll("_", "/"));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0))));
+  } catch {
+    return null;
+  }
 }
 
-// ---------- Tabs ----------
-function setActiveReport(reportId) {
-  // tabs
-  for (const t of document.querySelectorAll(".tab")) {
-    t.classList.toggle("is-active", t.getAttribute("data-tab") === reportId);
-  }
-  // sections
-  for (const s of document.querySelectorAll(".report")) {
-    s.classList.toggle("is-active", s.getAttribute("data-report") === reportId);
+// Failed password sign-ins in this browser: { failures, lockedUntil (ms) }
+function readLoginAttempts() {
+  try {
+    const data = JSON.parse(localStorage.getItem(LOGIN_ATTEMPTS_KEY) || "null");
+    if (data && typeof data === "object") return { failures: Number(data.failures) || 0, lockedUntil: Number(data.lockedUntil) || 0 };
+  } catch {
+    // start over
   }
+  return { failures: 0, lockedUntil: 0 };
 }
-
-// ---------- Utilities ----------
-function normalizeValue(v) {
-  if (v === null || v === undefined) return "";
-  return String(v).trim();
+// ms until sign-in is allowed again (0 = not locked)
+function loginLockRemaining() {
+  return Math.max(0, readLoginAttempts().lockedUntil - Date.now());
 }
-function toLower(v) {
-  return normalizeValue(v).toLowerCase();
+// Counts a failure; after lockout.maxAttempts in a row sign-in is locked for lockout.minutes.
+// Returns { locked, left } (left = attempts before the lock; Infinity when lockout is off)
+function recordLoginFailure() {
+  const max = Number(AUTH_CONFIG.lockout?.maxAttempts) || 0;
+  const attempts = readLoginAttempts();
+  attempts.failures += 1;
+  const locked = max > 0 && attempts.failures >= max;
+  if (locked) {
+    attempts.failures = 0;
+    attempts.lockedUntil = Date.now() + (Number(AUTH_CONFIG.lockout?.minutes) || 5) * 60 * 1000;
+  }
+  localStorage.setItem(LOGIN_ATTEMPTS_KEY, JSON.stringify(attempts));
+  return { locked, left: max > 0 ? max - attempts.failures : Infinity };
 }
-function deepClone(obj) {
-  return JSON.parse(JSON.stringify(obj));
+function resetLoginFailures() {
+  localStorage.removeItem(LOGIN_ATTEMPTS_KEY);
 }
-function escapeCsvValue(v) {
-  const s = normalizeValue(v);
-  if (s.includes('"') || s.includes(",") || s.includes("\n")) {
-    return `"${s.replaceAll('"', '""')}"`;
+function formatWait(ms) {
+  const minutes = Math.ceil(ms / 60000);
+  return minutes > 1 ? `${minutes} minutes` : "a minute";
+}
+
+// Audit log: [{ at (ISO), user, name, role, action, report, detail }], oldest first, kept in this browser.
+// Actions: login, login_failed, lockout, logout, lock, session_expired, upload, export
+function readAuditLog() {
+  try {
+    const log = JSON.parse(localStorage.getItem(AUDIT_KEY) || "[]");
+    return Array.isArray(log) ? log : [];
+  } catch {
+    return [];
   }
-  return s;
 }
-function isForcedMulti(col) {
-  return FORCE_MULTI_COLUMNS.has(normalizeValue(col).toLowerCase());
+function recordAudit(action, detail = "", reportId = "", user = AUTH.user) {
+  const log = readAuditLog();
+  log.push({
+    at: new Date().toISOString(),
+    user: user?.id || "",
+    name: user?.name || "",
+    role: user ? accessFor(user).role : "",
+    action,
+    report: reportId,
+    detail
+  });
+  try {
+    localStorage.setItem(AUDIT_KEY, JSON.stringify(log.slice(-AUDIT_LIMIT)));
+  } catch {
+    // storage full: the entry is dropped rather than breaking the action being logged
+  }
 }
 
-// ---------- Report Dashboard Class ----------
-class ReportDashboard {
-  constructor(root, reportId) {
-    this.root = root;
-    this.reportId = reportId;
-
-    // localStorage keys (separate per report)
-    this.PRESETS_KEY = `inventoryDashboardPresets_v7_${reportId}`;
-
-    // data
-    this.rawRows = [];
-    this.filteredRows = [];
-    this.columns = [];
-    this.sortState = { col: null, dir: "asc" };
-
-    // applied vs draft
-    this.appliedState = { global: "", columns: {} };
-    this.draftState = { global: "", columns: {} };
-
-    // elements
-    this.csvFile = this.q("csvFile");
-    this.fileName = this.q("fileName");
-    this.rowCount = this.q("rowCount");
-    this.filteredCount = this.q("filteredCount");
-    this.statusMsg = this.q("statusMsg");
+class DemoAuthProvider {
+  constructor(config) {
+    this.config = config || {};
+    this.usesPassword = true;
+    this.label = "Sign In";
+    this.note = "Demo sign-in: checked in the browser for convenience, it does not provide real security.";
+  }
 
-    this.globalSearch = this.q("globalSearch");
-    this.filtersContainer = this.q("filtersContainer");
+  finishPopup() {
+    return false;
+  }
 
-    this.btnClear = this.q("btnClear");
-    this.btnExport = this.q("btnExport");
-    this.btnApply = this.q("btnApply");
+  async handleRedirect() {
+    return null;
+  }
 
-    this.kpiRow = this.q("kpiRow");
-    this.breakdownGrid = this.q("breakdownGrid");
+  // config.accounts: [{ username, password, role }] (a single username / password pair also works)
+  accounts() {
+    if (Array.isArray(this.config.accounts)) return this.config.accounts;
+    return this.config.username ? [{ username: this.config.username, password: this.config.password }] : [];
+  }
 
-    this.presetName = this.q("presetName");
-    this.presetSelect = this.q("presetSelect");
-    this.btnSavePreset = this.q("btnSavePreset");
-    this.btnLoadPreset = this.q("btnLoadPreset");
-    this.btnRenamePreset = this.q("btnRenamePreset");
-    this.btnDeletePreset = this.q("btnDeletePreset");
+  userFor(account) {
+    return { id: account.username, name: account.username, email: "", roles: account.role ? [account.role] : [] };
+  }
 
-    this.tableHead = this.q("tableHead");
-    this.tableBody = this.q("tableBody");
+  async signIn({ username, password }) {
+    const account = this.accounts().find(a => a.username && a.username === username && a.password === password);
+    if (!account) throw new Error("Invalid username or password.");
+    return { provider: "demo", user: this.userFor(account), expiresAt: null };
+  }
 
-    this.bindEvents();
-    this.refreshPresetSelect();
-    this.enableControls(false);
+  // The role comes from config.js, never from the stored session (which can be edited in devtools)
+  restore(session) {
+    const account = this.accounts().find(a => a.username && a.username === session.user?.id);
+    return account ? { ...session, user: this.userFor(account) } : null;
   }
 
-  q(role) {
-    return this.root.querySelector(`[data-role="${role}"]`);
+  async refresh(session) {
+    return session;
   }
 
-  setStatus(text, tone = "muted") {
-    this.statusMsg.className = `status ${tone}`;
-    this.statusMsg.textContent = text;
+  async signOut() {
+    return false;
   }
+}
 
-  enableControls(enabled) {
-    this.globalSearch.disabled = !enabled;
-    this.presetName.disabled = !enabled;
-    this.presetSelect.disabled = !enabled;
-    this.btnSavePreset.disabled = !enabled;
-    this.btnLoadPreset.disabled = !enabled;
-    this.btnClear.disabled = !enabled;
-    this.btnExport.disabled = !enabled;
-    this.btnRenamePreset.disabled = !enabled;
-    this.btnDeletePreset.disabled = !enabled;
-    this.btnApply.disabled = !enabled;
+class OidcAuthProvider {
+  constructor(config) {
+    this.config = config || {};
+    this.usesPassword = false;
+    this.label = `Sign in with ${this.config.displayName || "SSO"}`;
+    this.note = `You will be redirected to ${this.config.displayName || "your identity provider"} to sign in.`;
+    this.metadata = null;
   }
 
-  isDirty() {
-    // Compare applied vs draft (ignore collapsed differences)
-    const a = deepClone(this.appliedState);
-    const d = deepClone(this.draftState);
-    for (const c of Object.keys(a.columns || {})) delete a.columns[c].collapsed;
-    for (const c of Object.keys(d.columns || {})) delete d.columns[c].collapsed;
-    return JSON.stringify(a) !== JSON.stringify(d);
+  pageUrl() {
+    return `${window.location.origin}${window.location.pathname}`;
   }
 
-  updateApplyButtonState() {
-    if (!this.rawRows.length) {
-      this.btnApply.disabled = true;
-      return;
-    }
-    this.btnApply.disabled = !this.isDirty();
-    if (this.isDirty()) this.setStatus("Pending changes. Click Apply to refresh results.", "muted");
+  redirectUri() {
+    return this.config.redirectUri || this.pageUrl();
   }
 
-  // ---------- Matching logic uses APPLIED state ----------
-  rowMatchesApplied(row, excludeCol = null) {
-    const g = toLower(this.appliedState.global);
-    if (g) {
-      let found = false;
-      for (const c of this.columns) {
-        if (toLower(row[c]).includes(g)) { found = true; break; }
-      }
-      if (!found) return false;
+  // Endpoints from config, else from the issuer's discovery document
+  async discover() {
+    if (this.metadata) return this.metadata;
+    const { authorizationEndpoint, tokenEndpoint, endSessionEndpoint, issuer } = this.config;
+    if (authorizationEndpoint && tokenEndpoint) {
+      this.metadata = { issuer, authorization_endpoint: authorizationEndpoint, token_endpoint: tokenEndpoint, end_session_endpoint: endSessionEndpoint };
+      return this.metadata;
     }
+    const res = await fetch(`${String(issuer).replace(/\/$/, "")}/.well-known/openid-configuration`);
+    if (!res.ok) throw new Error(`Could not reach the identity provider (${res.status}).`);
+    this.metadata = await res.json();
+    return this.metadata;
+  }
 
-    for (const c of this.columns) {
-      if (excludeCol && c === excludeCol) continue;
-
-      const f = this.appliedState.columns[c];
-      if (!f) continue;
-
-      const val = normalizeValue(row[c]);
-
-      if (f.type === "text") {
-        const q = normalizeValue(f.value);
-        if (!q) continue;
-        if (!toLower(val).includes(toLower(q))) return false;
-        continue;
-      }
+  // popup: sign in again in a pop-up window (the dashboards behind the lock screen keep their state);
+  // otherwise the whole page goes to the provider and comes back through handleRedirect()
+  async signIn({ remember, popup = false, username = "" }) {
+    if (!crypto.subtle) throw new Error("Single sign-on needs the dashboard to be served over https (or from localhost).");
+    const md = await this.discover();
+    const verifier = randomUrlToken();
+    const challenge = base64UrlEncode(new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier))));
+    const pending = { verifier, state: randomUrlToken(16), nonce: randomUrlToken(16), remember: !!remember, hash: window.location.hash };
+
+    const url = new URL(md.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: "code",
+      client_id: this.config.clientId,
+      redirect_uri: this.redirectUri(),
+      scope: this.config.scope || "openid profile email",
+      state: pending.state,
+      nonce: pending.nonce,
+      code_challenge: challenge,
+      code_challenge_method: "S256",
+      ...(popup ? { prompt: "login" } : {}),
+      ...(popup && username ? { login_hint: username } : {})
+    }).toString();
+
+    if (popup) return this.completeSignIn(await this.openPopup(url.toString()), pending);
+    sessionStorage.setItem(OIDC_PENDING_KEY, JSON.stringify(pending));
+    window.location.assign(url.toString());
+    return null;
+  }
 
-      if (f.type === "multi") {
-        const selected = Array.isArray(f.value) ? f.value : [];
-        if (!selected.length) continue;
-        if (!selected.includes(val)) return false;
-        continue;
-      }
-    }
+  // Resolves with the provider's response parameters, posted back by the pop-up (see finishPopup)
+  openPopup(url) {
+    const win = window.open(url, OIDC_POPUP_NAME, "width=520,height=680");
+    if (!win) throw new Error("Allow pop-ups for this site to sign in again without reloading the dashboard.");
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const done = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        clearInterval(poll);
+        window.removeEventListener("message", onMessage);
+        fn(value);
+      };
+      const onMessage = (ev) => {
+        if (ev.origin !== window.location.origin || ev.source !== win || ev.data?.type !== OIDC_POPUP_NAME) return;
+        done(resolve, new URLSearchParams(ev.data.search));
+      };
+      // the response message may still be queued when the pop-up closes itself
+      const poll = setInterval(() => {
+        if (win.closed) setTimeout(() => done(reject, new Error("The sign-in window was closed.")), 300);
+      }, 500);
+      window.addEventListener("message", onMessage);
+    });
+  }
 
+  // Inside the pop-up: hand the provider's response to the dashboard that opened it, then close
+  finishPopup() {
+    const params = new URLSearchParams(window.location.search);
+    if (window.name !== OIDC_POPUP_NAME || !window.opener || (!params.has("code") && !params.has("error"))) return false;
+    window.opener.postMessage({ type: OIDC_POPUP_NAME, search: window.location.search }, window.location.origin);
+    window.close();
     return true;
   }
 
-  // Facet counts are based on APPLIED filters (stable until Apply)
-  getFacetCountsForColumn(col) {
-    const counts = new Map();
-    for (const r of this.rawRows) {
-      if (!this.rowMatchesApplied(r, col)) continue;
-      const v = normalizeValue(r[col]);
-      if (!v) continue;
-      counts.set(v, (counts.get(v) || 0) + 1);
+  // The provider sends the browser back with ?code=…&state=… (or ?error=…)
+  async handleRedirect() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has("code") && !params.has("error")) return null;
+
+    let pending = null;
+    try {
+      pending = JSON.parse(sessionStorage.getItem(OIDC_PENDING_KEY) || "null");
+    } catch {
+      // handled below
     }
-    return counts;
+    sessionStorage.removeItem(OIDC_PENDING_KEY);
+    history.replaceState(null, "", `${window.location.pathname}${pending?.hash || ""}`);
+    return this.completeSignIn(params, pending);
   }
 
-  isLowCardinalityByCounts(counts) {
-    const uniq = counts.size;
-    return uniq > 0 && uniq <= 30;
+  async completeSignIn(params, pending) {
+    if (params.has("error")) throw new Error(params.get("error_description") || `Sign-in failed (${params.get("error")}).`);
+    if (!pending || params.get("state") !== pending.state) throw new Error("Sign-in response did not match this browser's request. Try again.");
+
+    const tokens = await this.tokenRequest({
+      grant_type: "authorization_code",
+      code: params.get("code"),
+      redirect_uri: this.redirectUri(),
+      client_id: this.config.clientId,
+      code_verifier: pending.verifier
+    });
+    return this.sessionFromTokens(tokens, { nonce: pending.nonce, remember: pending.remember });
   }
 
-  ensureStateSchemas() {
-    for (const col of this.columns) {
-      // applied
-      if (!this.appliedState.columns[col]) {
-        const facetCounts = this.getFacetCountsForColumn(col);
-        const type = (isForcedMulti(col) || this.isLowCardinalityByCounts(facetCounts)) ? "multi" : "text";
-        this.appliedState.columns[col] = { type, value: type === "multi" ? [] : "", collapsed: true };
-      } else {
-        const f = this.appliedState.columns[col];
-        if (isForcedMulti(col) && f.type !== "multi") { f.type = "multi"; f.value = []; }
-        if (f.type === "multi" && !Array.isArray(f.value)) f.value = [];
-        if (f.type === "text" && Array.isArray(f.value)) f.value = "";
-        if (typeof f.collapsed !== "boolean") f.collapsed = true;
-      }
+  async tokenRequest(fields) {
+    const md = await this.discover();
+    const res = await fetch(md.token_endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams(fields).toString()
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.access_token) throw new Error(data.error_description || data.error || `Token request failed (${res.status}).`);
+    return data;
+  }
 
-      // draft
-      if (!this.draftState.columns[col]) {
-        this.draftState.columns[col] = deepClone(this.appliedState.columns[col]);
-        this.draftState.columns[col].collapsed = true;
-      } else {
-        const f = this.draftState.columns[col];
-        if (isForcedMulti(col) && f.type !== "multi") { f.type = "multi"; f.value = []; }
-        if (f.type === "multi" && !Array.isArray(f.value)) f.value = [];
-        if (f.type === "text" && Array.isArray(f.value)) f.value = "";
-        if (typeof f.collapsed !== "boolean") f.collapsed = true;
-      }
+  // `previous`: the session being refreshed (providers may omit the id token / refresh token on refresh)
+  sessionFromTokens(tokens, { nonce = null, remember = false, previous = null } = {}) {
+    const idToken = tokens.id_token || previous?.idToken || "";
+    const claims = decodeJwtClaims(idToken);
+    if (!claims) throw new Error("The identity provider did not return an ID token.");
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (this.config.issuer && String(claims.iss).replace(/\/$/, "") !== String(this.config.issuer).replace(/\/$/, "")) {
+      throw new Error("ID token is from an unexpected issuer.");
     }
+    if (!audience.includes(this.config.clientId)) throw new Error("ID token is for a different client.");
+    if (nonce && claims.nonce !== nonce) throw new Error("ID token nonce does not match this sign-in.");
+
+    const lifetime = Number(tokens.expires_in) || (claims.exp ? claims.exp - Date.now() / 1000 : 300);
+    return {
+      provider: "oidc",
+      user: this.userFromClaims(claims),
+      issuedAt: Date.now(),
+      expiresAt: Date.now() + lifetime * 1000,
+      remember: previous ? previous.remember : remember,
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token || previous?.refreshToken || "",
+      idToken
+    };
   }
 
-  // ---------- Dashboard ----------
-  getUniqueCount(rows, colName) {
-    if (!colName) return 0;
-    const set = new Set();
-    for (const r of rows) {
-      const v = normalizeValue(r[colName]);
-      if (v) set.add(v);
-    }
-    return set.size;
+  userFromClaims(claims) {
+    const roles = claims[ACCESS_CONFIG?.roleClaim || "roles"];
+    return {
+      id: claims.sub,
+      name: claims.name || claims.preferred_username || claims.email || claims.sub,
+      email: claims.email || "",
+      roles: (Array.isArray(roles) ? roles : roles ? [roles] : []).map(String)
+    };
   }
 
-  countBy(rows, colName) {
-    const m = new Map();
-    if (!colName) return m;
-    for (const r of rows) {
-      const v = normalizeValue(r[colName]) || "(Blank)";
-      m.set(v, (m.get(v) || 0) + 1);
-    }
-    return m;
+  // The user (and roles) are read again from the stored ID token rather than the stored user object
+  restore(session) {
+    const claims = decodeJwtClaims(session.idToken);
+    return claims?.sub ? { ...session, user: this.userFromClaims(claims) } : null;
   }
 
-  topN(map, n=6) {
-    return Array.from(map.entries())
-      .sort((a,b) => b[1] - a[1] || a[0].localeCompare(b[0]))
-      .slice(0, n);
+  async refresh(session) {
+    if (!session.refreshToken) throw new Error("Your session has expired. Sign in again.");
+    const tokens = await this.tokenRequest({
+      grant_type: "refresh_token",
+      refresh_token: session.refreshToken,
+      client_id: this.config.clientId,
+      scope: this.config.scope || "openid profile email"
+    });
+    return this.sessionFromTokens(tokens, { previous: session });
   }
 
-  findColumnName(candidates) {
-    const lower = new Map(this.columns.map(c => [c.toLowerCase(), c]));
-    for (const cand of candidates) {
-      const key = cand.toLowerCase();
-      if (lower.has(key)) return lower.get(key);
+  // Ends the provider's session too when it supports RP-initiated logout
+  async signOut(session) {
+    let md = null;
+    try {
+      md = await this.discover();
+    } catch {
+      return false;
     }
-    return null;
+    if (!md.end_session_endpoint) return false;
+    const url = new URL(md.end_session_endpoint);
+    url.search = new URLSearchParams({
+      client_id: this.config.clientId,
+      post_logout_redirect_uri: this.config.postLogoutRedirectUri || this.pageUrl(),
+      ...(session?.idToken ? { id_token_hint: session.idToken } : {})
+    }).toString();
+    window.location.assign(url.toString());
+    return true;
   }
+}
 
-  renderDashboard() {
-    const rows = this.filteredRows || [];
-
-    const colAsset = this.findColumnName(["Asset Tag","AssetTag","Asset"]);
-    const colSerial = this.findColumnName(["Serial Number","Serial","SerialNumber"]);
-    const colModel  = this.findColumnName(["Model","Device Model","Model Name"]);
-    const colCategory = this.findColumnName(["Category","Device Type","Type"]);
-    const colCondition = this.findColumnName(["Condition","Grade"]);
-    const colLocation = this.findColumnName(["Location","Site"]);
-    const colCompany = this.findColumnName(["Company","Customer","Client"]);
-    const colLoggedBy = this.findColumnName(["Logged By","LoggedBy","Checked In By","Technician"]);
-    const colAssignedTo = this.findColumnName(["Employee Assign To","Assigned To","Assignee","Employee"]);
-
-    const kpis = [
-      { label: "Total Matching Rows", value: rows.length, sub: "Based on applied filters" },
-      { label: "Unique Asset Tags", value: this.getUniqueCount(rows, colAsset), sub: colAsset ? colAsset : "Column not found" },
-      { label: "Unique Serials", value: this.getUniqueCount(rows, colSerial), sub: colSerial ? colSerial : "Column not found" },
-      { label: "Unique Models", value: this.getUniqueCount(rows, colModel), sub: colModel ? colModel : "Column not found" },
-    ];
-
-    this.kpiRow.innerHTML = "";
-    for (const k of kpis) {
-      const card = document.createElement("div");
-      card.className = "kpi";
+const AUTH_PROVIDERS = { demo: DemoAuthProvider, oidc: OidcAuthProvider };
+
+// Current session plus silent renewal shortly before it expires; onExpired runs when renewal fails
+// or the sign-in reaches its configured end (auth.session)
+class AuthClient {
+  constructor(config) {
+    this.providerName = AUTH_PROVIDERS[config.provider] ? config.provider : "demo";
+    this.provider = new AUTH_PROVIDERS[this.providerName](config[this.providerName]);
+    this.refreshBeforeMs = (Number(config.oidc?.refreshBeforeSeconds) || 60) * 1000;
+    this.sessionMs = Math.max(0, Number(config.session?.hours ?? 8)) * HOUR_MS;
+    this.rememberMs = Math.max(0, Number(config.session?.rememberDays ?? 7)) * 24 * HOUR_MS;
+    this.session = null;
+    this.timer = null;
+    this.endTimer = null;
+    this.onExpired = null;
+
+    // timers are throttled in background tabs: re-check when the page is shown again
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible" && this.session) this.scheduleRefresh();
+    });
+  }
 
-      const l = document.createElement("div");
-      l.className = "label";
-      l.textContent = k.label;
+  get user() {
+    return this.session?.user || null;
+  }
 
-      const v = document.createElement("div");
-      v.className = "value";
-      v.textContent = String(k.value);
+  accessToken() {
+    return this.session?.accessToken || "";
+  }
 
-      const s = document.createElement("div");
-      s.className = "sub";
-      s.textContent = k.sub;
+  // Completes a provider redirect, else resumes the stored session (renewing it if it has expired).
+  // Throws when the stored sign-in has reached its end.
+  async start() {
+    const fromRedirect = await this.provider.handleRedirect();
+    if (fromRedirect) return this.beginSession(fromRedirect);
+
+    let stored = readSession();
+    if (!stored || stored.provider !== this.providerName) return null;
+    stored = this.provider.restore(stored);
+    if (!stored) {
+      clearSession();
+      return null;
+    }
+    if (!stored.signedInAt) stored = { ...stored, signedInAt: Date.now() }; // saved before sign-ins had an end
+    if (this.hasEnded(stored)) {
+      recordAudit("session_expired", "", "", stored.user);
+      clearSession();
+      throw new Error("Your session has expired. Sign in again.");
+    }
+    if (stored.expiresAt && this.renewAt(stored) <= Date.now()) {
+      try {
+        return this.setSession(this.carryOver(stored, await this.provider.refresh(stored)));
+      } catch {
+        clearSession();
+        return null;
+      }
+    }
+    return this.setSession(stored);
+  }
 
-      card.appendChild(l);
-      card.appendChild(v);
-      card.appendChild(s);
-      this.kpiRow.appendChild(card);
+  async signIn(form) {
+    let session;
+    try {
+      session = await this.provider.signIn(form);
+    } catch (err) {
+      recordAudit("login_failed", this.provider.usesPassword ? `Username: ${form.username}` : err.message, "", null);
+      throw err;
     }
+    return session ? this.beginSession({ ...session, remember: !!form.remember }) : null;
+  }
 
-    const breakdowns = [
-      { title: "Category", col: colCategory },
-      { title: "Condition", col: colCondition },
-      { title: "Location", col: colLocation },
-      { title: "Company", col: colCompany },
-      { title: "Logged By", col: colLoggedBy },
-      { title: "Employee Assign To", col: colAssignedTo },
-    ];
+  beginSession(session) {
+    const started = this.setSession({ ...session, signedInAt: Date.now() });
+    recordAudit("login", this.providerName === "oidc" ? `Single sign-on (${this.provider.config.displayName || "OIDC"})` : "Password");
+    return started;
+  }
 
-    this.breakdownGrid.innerHTML = "";
-    for (const b of breakdowns) {
-      const card = document.createElement("div");
-      card.className = "bd";
+  // A renewed session keeps the sign-in's start
+  carryOver(previous, next) {
+    return { ...next, signedInAt: previous.signedInAt };
+  }
 
-      const t = document.createElement("div");
-      t.className = "title";
-      t.textContent = b.col ? `${b.title} (Top)` : `${b.title} (Column not found)`;
+  // "Remember me" sign-ins last session.rememberDays, others session.hours (0 = no limit); null = no end
+  endsAt(session) {
+    const limit = session.remember ? this.rememberMs : this.sessionMs;
+    return limit && session.signedInAt ? session.signedInAt + limit : null;
+  }
 
-      const list = document.createElement("div");
-      list.className = "list";
+  hasEnded(session) {
+    const end = this.endsAt(session);
+    return end !== null && end <= Date.now();
+  }
 
-      if (!b.col) {
-        const item = document.createElement("div");
-        item.className = "muted";
-        item.style.fontSize = "12px";
-        item.textContent = "No matching column in this CSV.";
-        list.appendChild(item);
-      } else if (!rows.length) {
-        const item = document.createElement("div");
-        item.className = "muted";
-        item.style.fontSize = "12px";
-        item.textContent = "No rows match current filters.";
-        list.appendChild(item);
-      } else {
-        const counts = this.countBy(rows, b.col);
-        const top = this.topN(counts, 6);
-        for (const [name, count] of top) {
-          const it = document.createElement("div");
-          it.className = "item";
+  // true when the browser is being sent to the provider to finish signing out
+  async signOut() {
+    const session = this.session;
+    if (session) recordAudit("logout");
+    this.clear();
+    return this.provider.signOut(session);
+  }
 
-          const nm = document.createElement("div");
-          nm.className = "name";
-          nm.title = name;
-          nm.textContent = name;
+  setSession(session) {
+    this.session = session;
+    writeSession(session);
+    this.scheduleRefresh();
+    return session;
+  }
 
-          const ct = document.createElement("div");
-          ct.className = "count";
-          ct.textContent = String(count);
+  clear() {
+    clearTimeout(this.timer);
+    clearTimeout(this.endTimer);
+    this.timer = null;
+    this.endTimer = null;
+    this.session = null;
+    clearSession();
+  }
 
-          it.appendChild(nm);
-          it.appendChild(ct);
-          list.appendChild(it);
-        }
-      }
+  // refreshBeforeSeconds ahead of expiry, but not before half of a short token lifetime has passed
+  renewAt(session) {
+    const lifetime = session.expiresAt - (session.issuedAt || session.expiresAt);
+    return session.expiresAt - Math.min(this.refreshBeforeMs, lifetime / 2);
+  }
 
-      card.appendChild(t);
-      card.appendChild(list);
-      this.breakdownGrid.appendChild(card);
+  scheduleRefresh() {
+    clearTimeout(this.timer);
+    clearTimeout(this.endTimer);
+    this.timer = null;
+    this.endTimer = null;
+    const end = this.session ? this.endsAt(this.session) : null;
+    if (end !== null) {
+      const left = Math.max(0, end - Date.now());
+      this.endTimer = setTimeout(() => this.endNow(), Math.min(left, MAX_TIMER_MS));
     }
+    if (!this.session?.expiresAt) return;
+    const wait = Math.max(0, this.renewAt(this.session) - Date.now());
+    this.timer = setTimeout(() => this.refreshNow(), Math.min(wait, MAX_TIMER_MS));
   }
 
-  // ---------- Sorting ----------
-  sortRows(rows) {
-    if (!this.sortState.col) return rows;
+  endNow() {
+    if (!this.session) return;
+    if (!this.hasEnded(this.session)) {
+      this.scheduleRefresh(); // woke up early (long timers are capped)
+      return;
+    }
+    recordAudit("session_expired");
+    this.clear();
+    if (this.onExpired) this.onExpired(new Error("Your session has expired. Sign in again."));
+  }
 
-    const col = this.sortState.col;
-    const dir = this.sortState.dir;
+  async refreshNow() {
+    if (!this.session) return;
+    if (this.renewAt(this.session) > Date.now()) {
+      this.scheduleRefresh(); // woke up early (long timers are capped)
+      return;
+    }
+    const current = this.session;
+    try {
+      const next = await this.provider.refresh(current);
+      if (this.session === current) this.setSession(this.carryOver(current, next));
+    } catch (err) {
+      if (this.session !== current) return; // signed out or locked meanwhile
+      recordAudit("session_expired", err.message);
+      this.clear();
+      if (this.onExpired) this.onExpired(err);
+    }
+  }
+}
 
-    return [...rows].sort((a,b) => {
-      const av = normalizeValue(a[col]);
-      const bv = normalizeValue(b[col]);
+const AUTH = new AuthClient(AUTH_CONFIG);
 
-      const an = Number(av);
-      const bn = Number(bv);
-      const aNum = Number.isFinite(an) && av !== "";
-      const bNum = Number.isFinite(bn) && bv !== "";
+// ---------- Access (roles) ----------
+/* Roles come from config.js (DASHBOARD_CONFIG.access). A user's role is, in order: their entry in access.users
+   (by id or email), the first configured role the provider reported (demo account role / OIDC roles claim),
+   access.defaultRole. Without an access config everyone has full access.
+   Access is { role, label, reports: Set | null (null = all), canExport, canDeletePresets, canViewAudit }.
+*/
+const FULL_ACCESS = { role: "", label: "", reports: null, canExport: true, canDeletePresets: true, canViewAudit: true };
+const NO_ACCESS = { role: "", label: "", reports: new Set(), canExport: false, canDeletePresets: false, canViewAudit: false };
+
+function resolveRole(user) {
+  const roles = ACCESS_CONFIG?.roles || {};
+  const users = ACCESS_CONFIG?.users || {};
+  const candidates = [users[user?.id], users[user?.email], ...(user?.roles || []), ACCESS_CONFIG?.defaultRole];
+  return candidates.find(r => r && Object.hasOwn(roles, r)) || "";
+}
 
-      let cmp;
-      if (aNum && bNum) cmp = an - bn;
-      else cmp = av.localeCompare(bv, undefined, { numeric: true, sensitivity: "base" });
+function accessFor(user) {
+  if (!ACCESS_CONFIG?.roles) return FULL_ACCESS;
+  const role = resolveRole(user);
+  if (!role) return NO_ACCESS;
+  const def = ACCESS_CONFIG.roles[role];
+  return {
+    role,
+    label: def.label || role,
+    reports: def.reports === "*" ? null : new Set(Array.isArray(def.reports) ? def.reports : []),
+    canExport: !!def.export,
+    canDeletePresets: !!def.deletePresets,
+    canViewAudit: !!def.audit
+  };
+}
 
-      return dir === "asc" ? cmp : -cmp;
-    });
-  }
+function canOpenReport(access, reportId) {
+  return !access.reports || access.reports.has(reportId);
+}
 
-  // ---------- Table ----------
+// ---------- Theme ----------
+const THEME_KEY = "inventoryDashboardTheme_v1";
+function getStoredTheme() {
+  const t = localStorage.getItem(THEME_KEY);
+  return (t === "light" || t === "dark") ? t : "dark";
+}
+function applyTheme(theme) {
+  document.body.setAttribute("data-theme", theme);
+
+  const btn = document.getElementById("themeToggle");
+  if (btn) btn.textContent = `Theme: ${theme === "light" ? "Light" : "Dark"}`;
+
+  const btnAuth = document.getElementById("themeToggleAuth");
+  if (btnAuth) btnAuth.textContent = `Theme: ${theme === "light" ? "Light" : "Dark"}`;
+
+  localStorage.setItem(THEME_KEY, theme);
+}
+function toggleTheme() {
+  const next = getStoredTheme() === "dark" ? "light" : "dark";
+  applyTheme(next);
+}
+
+// ---------- Tabs ----------
+function setActiveReport(reportId) {
+  // tabs
+  for (const t of document.querySelectorAll(".tab")) {
+    t.classList.toggle("is-active", t.getAttribute("data-tab") === reportId);
+  }
+  // sections
+  for (const s of document.querySelectorAll(".report")) {
+    s.classList.toggle("is-active", s.getAttribute("data-report") === reportId);
+  }
+}
+
+// ---------- Shareable URL ----------
+// #report=<tab>&view=<base64url JSON { global, fuzzy, columns, rules, sort }>: the active section's APPLIED view
+function encodeUrlView(view) {
+  let bin = "";
+  for (const b of new TextEncoder().encode(JSON.stringify(view))) bin += String.fromCharCode(b);
+  return btoa(bin).replaceAll("+", "-").replaceAll("/", "_").replace(/=+$/, "");
+}
+
+function decodeUrlView(text) {
+  try {
+    const bin = atob(text.replaceAll("-", "+").replaceAll("_", "/"));
+    const view = JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0))));
+    return view && typeof view === "object" && !Array.isArray(view) ? view : null;
+  } catch {
+    return null;
+  }
+}
+
+function readUrlState() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const view = params.get("view");
+  return { reportId: params.get("report") || "", view: view ? decodeUrlView(view) : null };
+}
+
+// replaceState: filter changes should not pile up in the back button history
+function writeUrlState(reportId, view) {
+  const params = new URLSearchParams({ report: reportId });
+  if (view) params.set("view", encodeUrlView(view));
+  const hash = `#${params}`;
+  if (window.location.hash !== hash) history.replaceState(null, "", hash);
+}
+
+// ---------- Utilities ----------
+// normalizeValue / toLower / deepClone / isForcedMulti live in engine.js (shared with the worker)
+function escapeCsvValue(v) {
+  const s = normalizeValue(v);
+  if (s.includes('"') || s.includes(",") || s.includes("\n")) {
+    return `"${s.replaceAll('"', '""')}"`;
+  }
+  return s;
+}
+// Import wizard choices ("" delimiter = let Papa auto-detect)
+const IMPORT_DELIMITERS = [["", "Auto-detect"], [",", "Comma (,)"], [";", "Semicolon (;)"], ["\t", "Tab"], ["|", "Pipe (|)"]];
+const IMPORT_ENCODINGS = [["utf-8", "UTF-8"], ["windows-1252", "Windows-1252"], ["iso-8859-1", "ISO-8859-1"], ["utf-16le", "UTF-16 LE"]];
+
+function downloadFile(content, type, fileName) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  URL.revokeObjectURL(url);
+}
+function toCsv(columns, rows, headers = columns) {
+  const header = headers.map(escapeCsvValue).join(",");
+  const lines = rows.map(r => columns.map(c => escapeCsvValue(r[c])).join(","));
+  return [header, ...lines].join("\n");
+}
+function todayStamp() {
+  return new Date().toISOString().slice(0,10);
+}
+// First of `candidates` present in `columns` (case-insensitive), else null
+function findColumnIn(columns, candidates) {
+  const lower = new Map(columns.map(c => [c.toLowerCase(), c]));
+  for (const cand of candidates) {
+    const key = cand.toLowerCase();
+    if (lower.has(key)) return lower.get(key);
+  }
+  return null;
+}
+// Applied / draft filter state: global search, per-column filters and AND / OR rules
+function emptyFilterState() {
+  return { global: "", fuzzy: false, columns: {}, rules: emptyRuleGroup() };
+}
+// Only what affects results: active column filters (without UI flags), search, fuzzy mode and rules
+function compactFilterState(state) {
+  const columns = {};
+  for (const [col, f] of Object.entries(state?.columns || {})) {
+    if (!filterIsActive(f)) continue;
+    const { collapsed, ...rest } = f;
+    columns[col] = rest;
+  }
+  return {
+    global: normalizeValue(state?.global),
+    fuzzy: !!state?.fuzzy,
+    columns,
+    rules: isRuleGroup(state?.rules) ? state.rules : emptyRuleGroup()
+  };
+}
+// Upgrades older { type: "multi" | "text", value } filters (presets) to { op, value, value2 }
+function normalizeFilterState(f) {
+  f.op = filterOp(f);
+  delete f.type;
+  if (isListOp(f.op) && !Array.isArray(f.value)) f.value = [];
+  if (!isListOp(f.op) && typeof f.value !== "string") f.value = "";
+  if (typeof f.value2 !== "string") f.value2 = f.op === "last" ? "days" : "";
+  if (typeof f.collapsed !== "boolean") f.collapsed = true;
+  return f;
+}
+// A view that came from outside (preset file, stored preset, link) as { global, fuzzy, columns, rules, sort };
+// column filters, rule nodes and sort keys that are not objects of the right shape are dropped and counted
+function sanitizeView(view) {
+  let dropped = 0;
+  const isObject = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+
+  const columns = {};
+  if (view?.columns !== undefined && !isObject(view.columns)) dropped++;
+  for (const [col, f] of Object.entries(isObject(view?.columns) ? view.columns : {})) {
+    if (!isObject(f)) {
+      dropped++;
+      continue;
+    }
+    const clean = normalizeFilterState(deepClone(f));
+    if (Array.isArray(clean.value)) clean.value = clean.value.filter(v => typeof v === "string");
+    columns[col] = clean;
+  }
+
+  const rule = (node) => {
+    if (isRuleGroup(node)) {
+      return { logic: node.logic === "or" ? "or" : "and", negate: !!node.negate, items: node.items.map(rule).filter(Boolean) };
+    }
+    if (!isObject(node) || (typeof node.col !== "string" && node.col !== null)) {
+      dropped++;
+      return null;
+    }
+    const { op, value, value2 } = normalizeFilterState(deepClone(node));
+    return { col: node.col, op, value: Array.isArray(value) ? value.filter(v => typeof v === "string") : value, value2 };
+  };
+  let rules = emptyRuleGroup();
+  if (isRuleGroup(view?.rules)) rules = rule(view.rules);
+  else if (view?.rules !== undefined && view?.rules !== null) dropped++;
+
+  const rawSort = Array.isArray(view?.sort) ? view.sort : view?.sort ? [view.sort] : [];
+  const sort = normalizeSortState(rawSort);
+  dropped += rawSort.length - sort.length;
+
+  return {
+    view: { global: typeof view?.global === "string" ? view.global : "", fuzzy: view?.fuzzy === true, columns, rules, sort },
+    dropped
+  };
+}
+// Plain-language form of a column filter / rule condition, e.g. "Qty between 3 and 5"; `col` null = any column
+function describeCondition(col, f) {
+  const op = filterOp(f);
+  const who = col === null ? "Any column" : col;
+  const v = normalizeValue(f.value);
+  const v2 = normalizeValue(f.value2);
+  const quote = (x) => `"${x}"`;
+
+  switch (op) {
+    case "in": return `${who} is any of ${f.value.map(quote).join(", ")}`;
+    case "notIn": return `${who} is none of ${f.value.map(quote).join(", ")}`;
+    case "between":
+      if (v && v2) return `${who} between ${v} and ${v2}`;
+      return v ? `${who} ≥ ${v}` : `${who} ≤ ${v2}`;
+    case "greater": return `${who} > ${v}`;
+    case "less": return `${who} < ${v}`;
+    case "last": return `${who} in the last ${v} ${v2}`;
+    case "blank": return `${who} is blank`;
+    case "notBlank": return `${who} is not blank`;
+    case "sameAs":
+    case "differentFrom":
+    case "greaterThan":
+    case "lessThan": return `${who} ${FILTER_OPS[op].label.toLowerCase()} ${v}`;
+    default: return `${who} ${FILTER_OPS[op].label.toLowerCase()} ${quote(v)}`;
+  }
+}
+function countRuleConditions(group) {
+  return group.items.reduce((n, item) => n + (isRuleGroup(item) ? countRuleConditions(item) : filterIsActive(item) ? 1 : 0), 0);
+}
+// `(Location is any of "L1" OR Qty > 5)`; negated groups are prefixed with NOT
+function describeRuleGroup(group) {
+  const parts = group.items
+    .map(item => (isRuleGroup(item) ? describeRuleGroup(item) : filterIsActive(item) ? describeCondition(item.col, item) : ""))
+    .filter(Boolean);
+  if (!parts.length) return "";
+  const text = parts.length > 1 ? `(${parts.join(group.logic === "or" ? " OR " : " AND ")})` : parts[0];
+  return group.negate ? `NOT ${text}` : text;
+}
+// Fills `el` with `text`, wrapping the [start, end) `ranges` in <mark>
+function appendHighlighted(el, text, ranges) {
+  let at = 0;
+  for (const [start, end] of ranges) {
+    if (start > at) el.appendChild(document.createTextNode(text.slice(at, start)));
+    const mark = document.createElement("mark");
+    mark.textContent = text.slice(start, end);
+    el.appendChild(mark);
+    at = end;
+  }
+  if (at < text.length) el.appendChild(document.createTextNode(text.slice(at)));
+}
+function formatDateTime(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "—" : d.toLocaleString();
+}
+function isAbortError(err) {
+  return err?.name === "AbortError";
+}
+function abortError() {
+  const err = new Error("Cancelled");
+  err.name = "AbortError";
+  return err;
+}
+
+// ---------- Dashboard layout ----------
+// Per report: { kpis: [{ label, col, agg }], breakdowns: [{ label, col, agg, measure }] }.
+// A KPI with no column counts the matching rows; a breakdown lists the top values of `col`
+// ranked by `agg` over `measure` (count = rows per value). Empty labels are generated.
+const BREAKDOWN_TOP = 6;
+
+function normalizeLayout(raw) {
+  if (!raw || !Array.isArray(raw.kpis) || !Array.isArray(raw.breakdowns)) return null;
+  const card = (c, withMeasure) => ({
+    label: typeof c?.label === "string" ? c.label : "",
+    col: typeof c?.col === "string" ? c.col : "",
+    agg: AGGREGATES[c?.agg] ? c.agg : "count",
+    ...(withMeasure ? { measure: typeof c?.measure === "string" ? c.measure : "" } : {})
+  });
+  return {
+    kpis: raw.kpis.map(c => card(c, false)),
+    breakdowns: raw.breakdowns.map(c => card(c, true))
+  };
+}
+
+function kpiLabel(card) {
+  if (card.label) return card.label;
+  if (!card.col) return "Matching Rows";
+  return card.agg === "count" ? `${card.col} (Count)` : `${AGGREGATES[card.agg].label} of ${card.col}`;
+}
+
+function breakdownLabel(card) {
+  if (card.label) return card.label;
+  return card.agg === "count" || !card.measure ? card.col : `${card.col} by ${AGGREGATES[card.agg].label.toLowerCase()} of ${card.measure}`;
+}
+
+// Aggregate values for display; min / max of a date column come back as timestamps
+function formatAggregate(value, agg, type) {
+  if (value === null || value === undefined) return "—";
+  if (type === "date" && (agg === "min" || agg === "max")) return isoDay(value);
+  return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(2)));
+}
+
+// ---------- Charts (SVG, no dependencies) ----------
+// Renderers take [{ label, value, pick }] style data; `pick` (when set) is called on click / Enter.
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CHART_COLORS = ["#4c7dff", "#3ddc97", "#ffb020", "#ff4c4c", "#a66bff", "#2ec5d3", "#ff7ac6", "#8fa3bf"];
+const CHART_BAR_LIMIT = 12;
+const CHART_STACK_LIMIT = 5;
+const CHART_SLICE_LIMIT = 7;
+
+function svgEl(tag, attrs = {}, title = "") {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, String(v));
+  if (title) {
+    const t = document.createElementNS(SVG_NS, "title");
+    t.textContent = title;
+    el.appendChild(t);
+  }
+  return el;
+}
+
+function makePickable(el, pick) {
+  if (!pick) return el;
+  el.classList.add("pickable");
+  el.setAttribute("tabindex", "0");
+  el.setAttribute("role", "button");
+  el.addEventListener("click", pick);
+  el.addEventListener("keydown", (ev) => {
+    if (ev.key === "Enter" || ev.key === " ") { ev.preventDefault(); pick(); }
+  });
+  return el;
+}
+
+function truncateLabel(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function countBy(rows, col) {
+  const counts = new Map();
+  for (const r of rows) {
+    const v = normalizeValue(r[col]);
+    counts.set(v, (counts.get(v) || 0) + 1);
+  }
+  return counts;
+}
+
+// Largest `n` entries (ties by value), plus everything else folded into one "Other" entry
+function topWithOther(counts, n) {
+  const sorted = Array.from(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const top = sorted.slice(0, n).map(([value, count]) => ({ value, count, other: false }));
+  const rest = sorted.slice(n).reduce((sum, [, c]) => sum + c, 0);
+  if (rest) top.push({ value: "Other", count: rest, other: true });
+  return top;
+}
+
+function chartLabel(value) {
+  return value || "(Blank)";
+}
+
+// Horizontal bars: [{ label, value, pick }]
+function renderBarChart(data) {
+  const rowH = 24;
+  const width = 400;
+  const labelW = 130;
+  const max = Math.max(1, ...data.map(d => d.value));
+  const svg = svgEl("svg", { viewBox: `0 0 ${width} ${data.length * rowH + 4}`, class: "chart-svg" });
+
+  data.forEach((d, i) => {
+    const y = i * rowH + 2;
+    const w = Math.max(2, ((width - labelW - 50) * d.value) / max);
+    svg.appendChild(svgEl("text", { x: labelW - 6, y: y + rowH / 2 + 4, "text-anchor": "end", class: "chart-label" }, d.label))
+      .appendChild(document.createTextNode(truncateLabel(d.label, 20)));
+    const bar = svgEl("rect", { x: labelW, y: y + 3, width: w, height: rowH - 6, rx: 4, fill: d.color || CHART_COLORS[0] }, `${d.label}: ${d.value}`);
+    svg.appendChild(makePickable(bar, d.pick));
+    svg.appendChild(svgEl("text", { x: labelW + w + 6, y: y + rowH / 2 + 4, class: "chart-value" })).textContent = String(d.value);
+  });
+  return svg;
+}
+
+// Horizontal stacked bars: rows [{ label, total, segments: [{ series, value, pick }] }], series [{ label, color }]
+function renderStackedBarChart(rows, series) {
+  const rowH = 24;
+  const width = 400;
+  const labelW = 130;
+  const max = Math.max(1, ...rows.map(r => r.total));
+  const svg = svgEl("svg", { viewBox: `0 0 ${width} ${rows.length * rowH + 4}`, class: "chart-svg" });
+
+  rows.forEach((r, i) => {
+    const y = i * rowH + 2;
+    svg.appendChild(svgEl("text", { x: labelW - 6, y: y + rowH / 2 + 4, "text-anchor": "end", class: "chart-label" }, r.label))
+      .appendChild(document.createTextNode(truncateLabel(r.label, 20)));
+
+    let x = labelW;
+    for (const seg of r.segments) {
+      if (!seg.value) continue;
+      const w = ((width - labelW - 50) * seg.value) / max;
+      const rect = svgEl("rect", { x, y: y + 3, width: Math.max(1, w), height: rowH - 6, fill: series[seg.series].color }, `${r.label} • ${series[seg.series].label}: ${seg.value}`);
+      svg.appendChild(makePickable(rect, seg.pick));
+      x += w;
+    }
+    svg.appendChild(svgEl("text", { x: x + 6, y: y + rowH / 2 + 4, class: "chart-value" })).textContent = String(r.total);
+  });
+  return svg;
+}
+
+// Donut: [{ label, value, color, pick }]
+function renderDonutChart(data) {
+  const size = 200;
+  const c = size / 2;
+  const outer = 90;
+  const inner = 55;
+  const total = data.reduce((sum, d) => sum + d.value, 0) || 1;
+  const svg = svgEl("svg", { viewBox: `0 0 ${size} ${size}`, class: "chart-svg donut" });
+
+  const point = (angle, r) => [c + r * Math.sin(angle), c - r * Math.cos(angle)];
+  let angle = 0;
+  for (const d of data) {
+    const sweep = (d.value / total) * Math.PI * 2;
+    let el;
+    if (sweep >= Math.PI * 2 - 1e-6) {
+      el = svgEl("circle", { cx: c, cy: c, r: (outer + inner) / 2, fill: "none", stroke: d.color, "stroke-width": outer - inner }, `${d.label}: ${d.value}`);
+    } else {
+      const [x1, y1] = point(angle, outer);
+      const [x2, y2] = point(angle + sweep, outer);
+      const [x3, y3] = point(angle + sweep, inner);
+      const [x4, y4] = point(angle, inner);
+      const large = sweep > Math.PI ? 1 : 0;
+      const path = `M${x1},${y1} A${outer},${outer} 0 ${large} 1 ${x2},${y2} L${x3},${y3} A${inner},${inner} 0 ${large} 0 ${x4},${y4} Z`;
+      el = svgEl("path", { d: path, fill: d.color }, `${d.label}: ${d.value} (${Math.round((d.value / total) * 100)}%)`);
+    }
+    svg.appendChild(makePickable(el, d.pick));
+    angle += sweep;
+  }
+  svg.appendChild(svgEl("text", { x: c, y: c + 6, "text-anchor": "middle", class: "chart-total" })).textContent = String(total);
+  return svg;
+}
+
+// Line over time buckets: [{ label, value, pick }] in time order
+function renderLineChart(points) {
+  const width = 400;
+  const height = 200;
+  const pad = { left: 36, right: 10, top: 10, bottom: 28 };
+  const max = Math.max(1, ...points.map(p => p.value));
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const x = (i) => pad.left + (points.length > 1 ? (plotW * i) / (points.length - 1) : plotW / 2);
+  const y = (v) => pad.top + plotH - (plotH * v) / max;
+
+  const svg = svgEl("svg", { viewBox: `0 0 ${width} ${height}`, class: "chart-svg" });
+  svg.appendChild(svgEl("line", { x1: pad.left, y1: pad.top + plotH, x2: width - pad.right, y2: pad.top + plotH, class: "chart-axis" }));
+  svg.appendChild(svgEl("line", { x1: pad.left, y1: pad.top, x2: pad.left, y2: pad.top + plotH, class: "chart-axis" }));
+  svg.appendChild(svgEl("text", { x: pad.left - 4, y: pad.top + 8, "text-anchor": "end", class: "chart-value" })).textContent = String(max);
+  svg.appendChild(svgEl("text", { x: pad.left - 4, y: pad.top + plotH, "text-anchor": "end", class: "chart-value" })).textContent = "0";
+
+  svg.appendChild(svgEl("polyline", {
+    points: points.map((p, i) => `${x(i)},${y(p.value)}`).join(" "),
+    fill: "none",
+    stroke: CHART_COLORS[0],
+    "stroke-width": 2
+  }));
+
+  const labelEvery = Math.max(1, Math.ceil(points.length / 6));
+  points.forEach((p, i) => {
+    const dot = svgEl("circle", { cx: x(i), cy: y(p.value), r: 4, fill: CHART_COLORS[0] }, `${p.label}: ${p.value}`);
+    svg.appendChild(makePickable(dot, p.pick));
+    if (i % labelEvery === 0 || i === points.length - 1) {
+      svg.appendChild(svgEl("text", { x: x(i), y: height - 8, "text-anchor": "middle", class: "chart-label" })).textContent = p.label;
+    }
+  });
+  return svg;
+}
+
+// ---------- Time buckets ----------
+const TIME_INTERVALS = ["auto", "day", "week", "month"];
+const TIME_BUCKET_LIMIT = 400; // a finer interval that would need more buckets falls back to a coarser one
+
+function isoDay(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function bucketStart(ms, interval) {
+  const d = new Date(ms);
+  if (interval === "month") return new Date(d.getFullYear(), d.getMonth(), 1).getTime();
+  if (interval === "week") return new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7)).getTime(); // Monday
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+}
+
+function nextBucket(ms, interval) {
+  const d = new Date(ms);
+  if (interval === "month") return new Date(d.getFullYear(), d.getMonth() + 1, 1).getTime();
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + (interval === "week" ? 7 : 1)).getTime();
+}
+
+// Row counts per day / week / month (gaps filled with 0); "auto" picks by the span of the dates
+function timeBuckets(rows, col, interval = "auto") {
+  const times = [];
+  for (const r of rows) {
+    const t = parseDateValue(r[col]);
+    if (t !== null) times.push(t);
+  }
+  if (!times.length) return { interval, buckets: [] };
+
+  let min = times[0];
+  let max = times[0];
+  for (const t of times) {
+    if (t < min) min = t;
+    if (t > max) max = t;
+  }
+
+  const days = (max - min) / DAY_MS;
+  if (interval === "auto") interval = days <= 60 ? "day" : days <= 370 ? "week" : "month";
+  if (interval === "day" && days > TIME_BUCKET_LIMIT) interval = "week";
+  if (interval === "week" && days / 7 > TIME_BUCKET_LIMIT) interval = "month";
+
+  const counts = new Map();
+  for (const t of times) {
+    const b = bucketStart(t, interval);
+    counts.set(b, (counts.get(b) || 0) + 1);
+  }
+
+  const buckets = [];
+  for (let b = bucketStart(min, interval); b <= max; b = nextBucket(b, interval)) {
+    const end = nextBucket(b, interval);
+    const label = interval === "month" ? isoDay(b).slice(0, 7) : isoDay(b);
+    buckets.push({ start: b, end, label, count: counts.get(b) || 0 });
+  }
+  return { interval, buckets };
+}
+
+// ---------- Pivot ----------
+// The engine builds the tree (see pivotPayload in engine.js); this part turns it into table lines.
+const PIVOT_AGGREGATES = ["count", "sum", "avg"];
+const PIVOT_COLUMN_LIMIT = 60;          // distinct column keys rendered
+const PIVOT_LINE_LIMIT = 2000;          // table lines rendered (CSV export has them all)
+
+function pivotValue(cell, agg) {
+  if (!cell) return null;
+  if (agg === "count") return cell.count;
+  if (!cell.n) return null;
+  return agg === "avg" ? cell.sum / cell.n : cell.sum;
+}
+
+// Table lines in display order: leaves, a subtotal after each group (when asked), grand total last
+function pivotLines(root, depth, subtotals) {
+  const lines = [];
+  const walk = (node, level) => {
+    if (level === depth) {
+      lines.push({ kind: "leaf", node });
+      return;
+    }
+    const children = Array.from(node.children.values())
+      .sort((a, b) => comparePivotValues(a.values[level], b.values[level]));
+    for (const child of children) walk(child, level + 1);
+    if (subtotals && level > 0) lines.push({ kind: "subtotal", node });
+  };
+  walk(root, 0);
+  if (depth > 0) lines.push({ kind: "total", node: root });
+  return lines;
+}
+
+// ---------- Table groups ----------
+// Group-by for the main table: a tree of { col, value, key, level, count, sums, rows | children }.
+// Rows keep their incoming (sorted) order inside each group.
+const GROUP_MAX_DEPTH = 3;
+
+function buildRowGroups(rows, groupCols, numericCols) {
+  const root = { children: new Map() };
+  for (const r of rows) {
+    let node = root;
+    groupCols.forEach((col, level) => {
+      const value = normalizeValue(r[col]);
+      let child = node.children.get(value);
+      if (!child) {
+        const key = `${node.key === undefined ? "" : `${node.key}${PIVOT_KEY_SEP}`}${value}`;
+        child = { col, value, key, level, count: 0, sums: new Map(), children: new Map(), rows: [] };
+        node.children.set(value, child);
+      }
+      node = child;
+      node.count++;
+      for (const c of numericCols) {
+        const x = parseNumberValue(normalizeValue(r[c]));
+        if (x === null) continue;
+        const s = node.sums.get(c) || { n: 0, sum: 0 };
+        s.n++;
+        s.sum += x;
+        node.sums.set(c, s);
+      }
+    });
+    node.rows.push(r);
+  }
+  return root;
+}
+
+// ---------- Preset files ----------
+// Presets are shared as { format, version, reportId, exportedAt, presets: [{ id, name, payload, createdAt }] }.
+const PRESET_FILE_FORMAT = "reports-dashboard-presets";
+const PRESET_FILE_VERSION = 1;
+const PRESET_REVISION_LIMIT = 10; // earlier versions kept per preset by Update
+
+// Accepts the export wrapper, a bare array of presets or a single preset; throws when nothing usable is found.
+// Payloads are sanitized (see sanitizeView); `invalid` counts the skipped presets and the filters, rules and
+// sort keys dropped from the others.
+function readPresetFile(data) {
+  const list = Array.isArray(data) ? data : Array.isArray(data?.presets) ? data.presets : data?.payload ? [data] : null;
+  if (!list) throw new Error("it is not a presets file");
+  let invalid = 0;
+  const presets = [];
+  for (const p of list) {
+    if (!normalizeValue(p?.name) || !p.payload || typeof p.payload !== "object" || Array.isArray(p.payload)) {
+      invalid++;
+      continue;
+    }
+    const { view, dropped } = sanitizeView(p.payload);
+    invalid += dropped;
+    presets.push({ ...p, name: normalizeValue(p.name), payload: view });
+  }
+  if (!presets.length) throw new Error("it contains no valid presets");
+  return {
+    reportId: typeof data?.reportId === "string" ? data.reportId : "",
+    presets,
+    invalid
+  };
+}
+
+// Columns a preset payload refers to: active column filters, rule conditions (and compared columns), sort keys
+function presetColumns(payload) {
+  const cols = new Set(Object.keys(payload?.columns || {}).filter(c => filterIsActive(payload.columns[c])));
+  const walk = (node) => {
+    if (isRuleGroup(node)) {
+      node.items.forEach(walk);
+    } else if (node && node.col !== null && node.col !== undefined) {
+      cols.add(node.col);
+      if (COLUMN_COMPARE_OPS.includes(filterOp(node)) && node.value) cols.add(node.value);
+    }
+  };
+  walk(payload?.rules);
+  for (const k of normalizeSortState(payload?.sort)) cols.add(k.col);
+  return [...cols];
+}
+
+// "Name", "Name (2)", "Name (3)"… whichever is not in `taken` (lower-cased names)
+function uniquePresetName(name, taken) {
+  let candidate = name;
+  for (let n = 2; taken.has(toLower(candidate)); n++) candidate = `${name} (${n})`;
+  return candidate;
+}
+
+// ---------- Printable report ----------
+// Self-contained HTML (inline styles, no scripts) used for the HTML / PDF export and Generate Report; print it to save a PDF.
+const REPORT_ROW_LIMIT = 2000;
+const EXPORT_FORMATS = [
+  { id: "csv", label: "CSV" },
+  { id: "xlsx", label: "Excel (XLSX)" },
+  { id: "json", label: "JSON" },
+  { id: "pdf", label: "PDF (print)" },
+  { id: "html", label: "HTML report" },
+];
+
+function escapeHtml(v) {
+  return normalizeValue(v)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+const REPORT_CSS = `
+  body{ font-family: system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; color:#0e1628; margin:24px; font-size:12px; -webkit-print-color-adjust:exact; print-color-adjust:exact; }
+  h1{ font-size:20px; margin:0 0 4px 0; }
+  h2{ font-size:14px; margin:20px 0 8px 0; }
+  .meta{ color:#51607d; margin-bottom:12px; }
+  .filters{ margin:0; padding-left:18px; }
+  .kpis{ display:grid; grid-template-columns: repeat(4, 1fr); gap:8px; }
+  .kpi, .bd{ border:1px solid #d6deee; border-radius:8px; padding:8px 10px; break-inside:avoid; }
+  .kpi .label, .kpi .sub, .bd .title{ color:#51607d; font-size:11px; }
+  .kpi .value{ font-size:18px; font-weight:700; margin:4px 0; }
+  .breakdowns{ display:grid; grid-template-columns: repeat(3, 1fr); gap:8px; }
+  .bd .item{ display:flex; justify-content:space-between; gap:8px; padding:2px 0; }
+  table{ width:100%; border-collapse:collapse; font-size:11px; }
+  th, td{ border:1px solid #d6deee; padding:4px 6px; text-align:left; vertical-align:top; }
+  th{ background:#f5f7ff; }
+  thead{ display:table-header-group; }
+  tr{ break-inside:avoid; }
+  .note{ color:#51607d; margin-top:6px; }
+  .charts{ display:grid; grid-template-columns: repeat(2, 1fr); gap:8px; }
+  .chart-svg{ display:block; width:100%; height:auto; }
+  .chart-svg.donut{ width:140px; flex-shrink:0; }
+  .chart-label, .chart-value{ fill:#51607d; font-size:11px; }
+  .chart-total{ fill:#0e1628; font-size:20px; font-weight:800; }
+  .chart-axis{ stroke:#d6deee; stroke-width:1; }
+  .donut-wrap{ display:flex; align-items:center; gap:12px; }
+  .chart-legend{ display:flex; flex-wrap:wrap; gap:4px 10px; color:#51607d; font-size:11px; margin-top:6px; }
+  .donut-wrap .chart-legend{ flex-direction:column; margin-top:0; }
+  .chart-legend span{ display:flex; align-items:center; gap:6px; }
+  .chart-legend i{ width:10px; height:10px; border-radius:3px; }
+  @media print{ body{ margin:0; } }
+`;
+
+// { title, subtitle, meta: [[label, value]], filters: [[label, text]], kpis, breakdowns, extra, table: { columns, rows, total } }
+function buildReportHtml({ title, subtitle = "", meta = [], filters = [], kpis = [], breakdowns = [], extra = "", table = null }) {
+  const parts = [];
+  parts.push(`<h1>${escapeHtml(title)}</h1>`);
+  if (subtitle) parts.push(`<div class="meta">${escapeHtml(subtitle)}</div>`);
+  if (meta.length) parts.push(`<div class="meta">${meta.map(([k, v]) => `${escapeHtml(k)}: <strong>${escapeHtml(v)}</strong>`).join(" &nbsp;•&nbsp; ")}</div>`);
+
+  parts.push("<h2>Filters</h2>");
+  parts.push(`<ul class="filters">${filters.map(([k, v]) => `<li>${escapeHtml(k)}: ${escapeHtml(v)}</li>`).join("")}</ul>`);
+
+  if (kpis.length) {
+    parts.push("<h2>Summary</h2>");
+    parts.push(`<div class="kpis">${kpis.map(k =>
+      `<div class="kpi"><div class="label">${escapeHtml(k.label)}</div><div class="value">${escapeHtml(k.value)}</div><div class="sub">${escapeHtml(k.sub)}</div></div>`
+    ).join("")}</div>`);
+  }
+  if (breakdowns.length) {
+    parts.push("<h2>Breakdowns</h2>");
+    parts.push(`<div class="breakdowns">${breakdowns.map(b =>
+      `<div class="bd"><div class="title">${escapeHtml(b.title)}</div>${
+        b.message
+          ? `<div class="note">${escapeHtml(b.message)}</div>`
+          : b.items.map(([name, value]) => `<div class="item"><span>${escapeHtml(name)}</span><strong>${escapeHtml(value)}</strong></div>`).join("")
+      }</div>`
+    ).join("")}</div>`);
+  }
+  if (extra) parts.push(extra);
+
+  if (table) {
+    const shown = table.rows.slice(0, REPORT_ROW_LIMIT);
+    parts.push(`<h2>Rows (${table.total})</h2>`);
+    parts.push(`<table><thead><tr>${table.columns.map(c => `<th>${escapeHtml(c)}</th>`).join("")}</tr></thead><tbody>${
+      shown.map(r => `<tr>${r.map(v => `<td>${escapeHtml(v)}</td>`).join("")}</tr>`).join("")
+    }</tbody></table>`);
+    if (table.total > shown.length) {
+      parts.push(`<div class="note">Showing the first ${shown.length} of ${table.total} rows. Export CSV or XLSX for all of them.</div>`);
+    }
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+${parts.join("\n")}
+</body>
+</html>
+`;
+}
+
+// ---------- Dialogs ----------
+// Minimal modal: resolves with the clicked action id, or null when dismissed (Esc / backdrop / ✕)
+function openDialog({ title, subtitle = "", body = null, actions = [], wide = false }) {
+  return new Promise((resolve) => {
+    const backdrop = document.createElement("div");
+    backdrop.className = "dialog-backdrop";
+
+    const card = document.createElement("div");
+    card.className = wide ? "dialog wide" : "dialog";
+    card.setAttribute("role", "dialog");
+    card.setAttribute("aria-modal", "true");
+
+    const head = document.createElement("div");
+    head.className = "dialog-head";
+
+    const titles = document.createElement("div");
+    const t = document.createElement("div");
+    t.className = "dialog-title";
+    t.textContent = title;
+    titles.appendChild(t);
+    if (subtitle) {
+      const st = document.createElement("div");
+      st.className = "dialog-subtitle muted";
+      st.textContent = subtitle;
+      titles.appendChild(st);
+    }
+
+    const close = document.createElement("button");
+    close.className = "small-btn";
+    close.type = "button";
+    close.textContent = "✕";
+    close.title = "Close";
+
+    head.appendChild(titles);
+    head.appendChild(close);
+    card.appendChild(head);
+
+    if (body) {
+      const b = document.createElement("div");
+      b.className = "dialog-body";
+      b.appendChild(body);
+      card.appendChild(b);
+    }
+
+    const foot = document.createElement("div");
+    foot.className = "dialog-actions";
+    card.appendChild(foot);
+
+    const finish = (result) => {
+      document.removeEventListener("keydown", onKey, true);
+      backdrop.remove();
+      resolve(result);
+    };
+    const onKey = (ev) => {
+      if (ev.key === "Escape" && !document.body.classList.contains("is-locked")) { ev.stopPropagation(); finish(null); }
+    };
+
+    for (const a of actions) {
+      const btn = document.createElement("button");
+      btn.className = `btn ${a.variant || ""}`.trim();
+      btn.type = "button";
+      btn.textContent = a.label;
+      btn.addEventListener("click", () => finish(a.id));
+      foot.appendChild(btn);
+    }
+
+    close.addEventListener("click", () => finish(null));
+    backdrop.addEventListener("click", (ev) => { if (ev.target === backdrop) finish(null); });
+    document.addEventListener("keydown", onKey, true);
+
+    backdrop.appendChild(card);
+    document.body.appendChild(backdrop);
+    (card.querySelector("select, input, .btn") || close).focus();
+  });
+}
+
+// ---------- Dataset Store (IndexedDB) ----------
+// Last loaded dataset per report section, so a reload (or logout/login) does not require re-uploading.
+//   datasets:     { reportId, fileName, columns, rows, types, issues, issueCount, uploadedAt }
+// Upload history (newest HISTORY_LIMIT per section), metadata and rows stored apart so listing stays cheap:
+//   snapshots:    { id, reportId, fileName, columns, rowCount, uploadedAt }
+//   snapshotRows: { id, rows, types }
+const DATASET_DB = "inventoryDashboardData_v1";
+const DATASET_DB_VERSION = 2;
+const HISTORY_LIMIT = 10;
+
+class DatasetStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+          reject(new Error("IndexedDB is not available in this browser"));
+          return;
+        }
+        const req = indexedDB.open(DATASET_DB, DATASET_DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains("datasets")) db.createObjectStore("datasets", { keyPath: "reportId" });
+          if (!db.objectStoreNames.contains("snapshots")) {
+            const snaps = db.createObjectStore("snapshots", { keyPath: "id", autoIncrement: true });
+            snaps.createIndex("reportId", "reportId");
+          }
+          if (!db.objectStoreNames.contains("snapshotRows")) db.createObjectStore("snapshotRows", { keyPath: "id" });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // fn(tx) may return an IDBRequest; the promise resolves with its result once the transaction commits
+  async run(storeNames, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const req = fn(tx);
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  get(reportId) {
+    return this.run("datasets", "readonly", (tx) => tx.objectStore("datasets").get(reportId));
+  }
+
+  put(record) {
+    return this.run("datasets", "readwrite", (tx) => tx.objectStore("datasets").put(record));
+  }
+
+  delete(reportId) {
+    return this.run("datasets", "readwrite", (tx) => tx.objectStore("datasets").delete(reportId));
+  }
+
+  // ---- history ----
+  addSnapshot({ reportId, fileName, columns, rows, types, uploadedAt }) {
+    return this.run(["snapshots", "snapshotRows"], "readwrite", (tx) => {
+      const snaps = tx.objectStore("snapshots");
+      const data = tx.objectStore("snapshotRows");
+
+      const req = snaps.add({ reportId, fileName, columns, rowCount: rows.length, uploadedAt });
+      req.onsuccess = () => {
+        data.put({ id: req.result, rows, types });
+
+        // keep the newest HISTORY_LIMIT for this section
+        const all = snaps.index("reportId").getAllKeys(reportId);
+        all.onsuccess = () => {
+          const ids = all.result.sort((a, b) => b - a);
+          for (const old of ids.slice(HISTORY_LIMIT)) {
+            snaps.delete(old);
+            data.delete(old);
+          }
+        };
+      };
+      return req;
+    });
+  }
+
+  // Newest first, metadata only
+  async listSnapshots(reportId) {
+    const list = await this.run("snapshots", "readonly", (tx) => tx.objectStore("snapshots").index("reportId").getAll(reportId));
+    return (list || []).sort((a, b) => b.id - a.id);
+  }
+
+  getSnapshotRows(id) {
+    return this.run("snapshotRows", "readonly", (tx) => tx.objectStore("snapshotRows").get(id));
+  }
+
+  deleteSnapshot(id) {
+    return this.run(["snapshots", "snapshotRows"], "readwrite", (tx) => {
+      tx.objectStore("snapshots").delete(id);
+      return tx.objectStore("snapshotRows").delete(id);
+    });
+  }
+
+  async clearSnapshots(reportId) {
+    const list = await this.listSnapshots(reportId);
+    for (const snap of list) await this.deleteSnapshot(snap.id);
+  }
+}
+
+const DATASETS = new DatasetStore(); // shared by all report sections
+
+// ---------- Engine Client ----------
+// Promise wrapper around worker.js. Falls back to running engine.js inline when a
+// Worker cannot be created (e.g. the page was opened from file://).
+class EngineClient {
+  constructor() {
+    this.pending = new Map(); // id -> { msg, resolve, reject, onProgress }
+    this.nextId = 1;
+    this.dataset = null;      // last parsed/loaded { columns, rows }, re-sent after a cancel or crash
+    this.worker = null;
+    this.inlineCtx = null;
+    this.spawn();
+  }
+
+  spawn() {
+    try {
+      this.worker = new Worker(ENGINE_WORKER_URL);
+    } catch {
+      this.useInline();
+      return;
+    }
+    let started = false;
+    this.worker.onmessage = (ev) => {
+      started = true;
+      this.handleMessage(ev.data);
+    };
+    this.worker.onerror = (ev) => {
+      ev.preventDefault();
+      if (!started) {
+        // the worker script never ran (e.g. blocked): run on the page and replay what it never answered
+        this.worker.terminate();
+        this.useInline();
+        for (const p of this.pending.values()) this.dispatch(p.msg);
+        return;
+      }
+      // a crash: start a fresh worker; what was running fails rather than being replayed into the same crash
+      const pending = Array.from(this.pending.values());
+      this.pending.clear();
+      this.restart();
+      for (const p of pending) p.reject(new Error(ev.message || "The data engine stopped unexpectedly."));
+    };
+  }
+
+  // Fresh worker with the current dataset loaded
+  restart() {
+    this.worker.terminate();
+    this.spawn();
+    if (this.worker && this.dataset) this.worker.postMessage({ type: "load", id: 0, ...this.dataset });
+  }
+
+  useInline() {
+    this.worker = null;
+    this.inlineCtx = createEngineContext();
+    if (this.dataset) handleEngineMessage(this.inlineCtx, { type: "load", id: 0, ...this.dataset }, () => {});
+  }
+
+  dispatch(msg) {
+    if (this.worker) {
+      this.worker.postMessage(msg);
+      return;
+    }
+    const ctx = this.inlineCtx;
+    setTimeout(() => handleEngineMessage(ctx, msg, (m) => this.handleMessage(m)), 0);
+  }
+
+  request(msg, onProgress) {
+    const id = this.nextId++;
+    const full = { ...msg, id };
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { msg: full, resolve, reject, onProgress });
+      this.dispatch(full);
+    });
+  }
+
+  handleMessage(m) {
+    const p = this.pending.get(m.id);
+    if (!p) return; // cancelled or superseded
+
+    if (m.type === "progress") {
+      if (p.onProgress) p.onProgress(m.phase, m.ratio);
+      return;
+    }
+
+    this.pending.delete(m.id);
+    if (m.type === "error") p.reject(new Error(m.message));
+    else p.resolve(m);
+  }
+
+  // First rows only, for the import wizard; nothing is loaded into the engine
+  preview(file, options, onProgress) {
+    return this.request({ type: "preview", file, options }, onProgress);
+  }
+
+  // Resolves { columns, rows, types, issues, issueCount },
+  // or { sheets } when a workbook needs a sheet chosen (options.sheet)
+  async parse(file, options, onProgress) {
+    const res = await this.request({ type: "parse", file, options }, onProgress);
+    if (res.sheets) return { sheets: res.sheets };
+    this.dataset = { columns: res.columns, rows: res.rows, types: res.types };
+    return { ...this.dataset, issues: res.issues, issueCount: res.issueCount };
+  }
+
+  load(columns, rows, types, onProgress) {
+    this.dataset = { columns, rows, types };
+    return this.request({ type: "load", columns, rows, types }, onProgress);
+  }
+
+  // Column type overrides made after load (kept for the replay after a cancel once the engine has them)
+  async setTypes(types) {
+    const res = await this.request({ type: "types", types });
+    if (this.dataset) this.dataset.types = { ...this.dataset.types, ...types };
+    return res;
+  }
+
+  query(state, sort, summaries, onProgress) {
+    return this.request({ type: "query", state, sort, summaries }, onProgress);
+  }
+
+  // Resolves { root, colKeys } for the rows matching `state`
+  pivot(state, spec) {
+    return this.request({ type: "pivot", state, spec });
+  }
+
+  // Row indices behind one pivot cell, in sort order
+  async pivotRows(state, sort, where) {
+    const res = await this.request({ type: "pivotRows", state, sort, where });
+    return res.ids;
+  }
+
+  get busy() {
+    return this.pending.size > 0;
+  }
+
+  // Stops whatever is running. A worker is simply terminated and replaced; the inline
+  // engine cannot be interrupted, so its context is swapped and the late result dropped.
+  cancel() {
+    const pending = Array.from(this.pending.values());
+    this.pending.clear();
+
+    if (this.worker) this.restart();
+    else this.useInline();
+
+    for (const p of pending) p.reject(abortError());
+  }
+}
+
+// ---------- Report Dashboard Class ----------
+class ReportDashboard {
+  constructor(root, reportId, access = FULL_ACCESS) {
+    this.root = root;
+    this.reportId = reportId;
+    this.access = access; // role permissions (see Access)
+
+    // localStorage keys (separate per report)
+    this.PRESETS_KEY = `inventoryDashboardPresets_v7_${reportId}`;
+    this.IMPORT_KEY = `inventoryDashboardImport_v1_${reportId}`;
+    this.CHARTS_KEY = `inventoryDashboardCharts_v1_${reportId}`;
+    this.LAYOUT_KEY = `inventoryDashboardLayout_v1_${reportId}`;
+    this.PIVOT_KEY = `inventoryDashboardPivot_v1_${reportId}`;
+    this.GROUPS_KEY = `inventoryDashboardGroups_v1_${reportId}`;
+    this.COLUMNS_KEY = `inventoryDashboardColumns_v1_${reportId}`;
+    this.DEFAULT_PRESET_KEY = `inventoryDashboardDefaultPreset_v1_${reportId}`;
+    this.columnLayout = this.loadColumnLayout();
+
+    // data
+    this.rawRows = [];
+    this.filteredRows = [];
+    this.columns = [];
+    this.columnTypes = {}; // col -> text | number | date | boolean (chosen/inferred at import)
+    this.importIssues = { issues: [], count: 0 };
+    this.sortState = []; // sort stack: [{ col, dir }], most significant first
+
+    // worker-backed engine; facets are the APPLIED-state counts from the last query
+    this.engine = new EngineClient();
+    this.facets = new Map();    // col -> { size, distinct, counts: Map<value, count> }
+    this.summaries = new Map(); // card key -> { value } (KPI) | { top: [[value, aggregate]] } (breakdown)
+    this.queryToken = 0;
+    this.resultsStale = false;
+    this.resultQuery = { state: emptyFilterState(), sort: [] }; // what filteredRows was queried with (pivots re-send it)
+    this.pivotToken = 0;
+
+    // applied vs draft
+    this.appliedState = emptyFilterState();
+    this.draftState = emptyFilterState();
+
+    // elements
+    this.csvFile = this.q("csvFile");
+    this.fileName = this.q("fileName");
+    this.uploadedAt = this.q("uploadedAt");
+    this.btnForget = this.q("btnForget");
+    this.btnHistory = this.q("btnHistory");
+    this.rowCount = this.q("rowCount");
+    this.filteredCount = this.q("filteredCount");
+    this.statusMsg = this.q("statusMsg");
+    this.btnCancel = this.q("btnCancel");
+    this.btnIssues = this.q("btnIssues");
+
+    this.globalSearch = this.q("globalSearch");
+    this.fuzzyToggle = this.q("fuzzyToggle");
+    this.searchErrors = this.q("searchErrors");
+    this.searchChips = this.q("searchChips");
+    this.rulesContainer = this.q("rulesContainer");
+    this.filtersContainer = this.q("filtersContainer");
+    this.rulesOpen = false;
+    this.valueLists = new Map(); // col -> distinct values, for rule value pickers
+
+    this.btnClear = this.q("btnClear");
+    this.btnExport = this.q("btnExport");
+    this.btnApply = this.q("btnApply");
+
+    this.kpiRow = this.q("kpiRow");
+    this.breakdownGrid = this.q("breakdownGrid");
+    this.btnLayout = this.q("btnLayout");
+    this.btnReport = this.q("btnReport");
+    this.chartGrid = this.q("chartGrid");
+    this.btnPivot = this.q("btnPivot");
+    this.pivotPanel = this.q("pivotPanel");
+    this.pivotControls = this.q("pivotControls");
+    this.pivotTable = this.q("pivotTable");
+    this.btnPivotExport = this.q("btnPivotExport");
+    this.pivot = null; // last rendered pivot, for CSV export
+
+    this.presetName = this.q("presetName");
+    this.presetSelect = this.q("presetSelect");
+    this.btnSavePreset = this.q("btnSavePreset");
+    this.btnLoadPreset = this.q("btnLoadPreset");
+    this.btnRenamePreset = this.q("btnRenamePreset");
+    this.btnDeletePreset = this.q("btnDeletePreset");
+    this.btnUpdatePreset = this.q("btnUpdatePreset");
+    this.btnPresetHistory = this.q("btnPresetHistory");
+    this.btnDefaultPreset = this.q("btnDefaultPreset");
+    this.btnExportPresets = this.q("btnExportPresets");
+    this.btnImportPresets = this.q("btnImportPresets");
+    this.presetFile = this.q("presetFile");
+
+    this.tableWrap = this.q("tableWrap");
+    this.tableHead = this.q("tableHead");
+    this.tableBody = this.q("tableBody");
+    this.groupBar = this.q("groupBar");
+    this.tableToolbar = this.q("tableToolbar");
+    this.btnColumns = this.q("btnColumns");
+    this.selectionInfo = this.q("selectionInfo");
+    this.selectionCount = this.q("selectionCount");
+    this.btnClearSelection = this.q("btnClearSelection");
+    this.btnUndo = this.q("btnUndo");
+    this.btnRedo = this.q("btnRedo");
+    this.undoSelect = this.q("undoSelect");
+
+    // virtualized table window
+    this.tableRows = [];
+    this.renderedRange = { start: -1, end: -1 };
+    this.scrollFrame = null;
+    this.tableColumns = [];           // visible columns in display order (set by buildTableHeader)
+    this.tableColumnStyle = new Map(); // col -> { width, left } for sizing / pinning cells
+    this.selectedRows = new Set();     // row objects picked in the table (export scope)
+    this.selectionAnchor = null;       // last clicked row, for Shift+click ranges
+    this.highlightTerms = []; // [{ col | null, value, fuzzy }] from the applied search
+    this.collapsedGroups = new Set(); // group keys (values joined by PIVOT_KEY_SEP) folded in the table
+    this.pendingUrlView = null;       // view from the page link, applied when data is loaded
+    this.undoSteps = [];              // undo / redo snapshots (see recordStep)
+    this.undoIndex = -1;
+
+    this.bindEvents();
+    this.applyAccess();
+    this.refreshPresetSelect();
+    this.renderUndoControls();
+    this.enableControls(false);
+    this.renderPivot();
+  }
+
+  // Role permissions: actions the role may not use are hidden (their handlers check again)
+  applyAccess() {
+    const { canExport, canDeletePresets } = this.access;
+    this.btnExport.hidden = !canExport;
+    this.btnReport.hidden = !canExport;
+    this.btnPivotExport.hidden = !canExport;
+    this.btnDeletePreset.hidden = !canDeletePresets;
+  }
+
+  q(role) {
+    return this.root.querySelector(`[data-role="${role}"]`);
+  }
+
+  audit(action, detail) {
+    recordAudit(action, detail, this.reportId);
+  }
+
+  setStatus(text, tone = "muted") {
+    this.statusMsg.className = `status ${tone}`;
+    this.statusMsg.textContent = text;
+  }
+
+  setProgress(label, ratio) {
+    const pct = Math.round(Math.max(0, Math.min(1, ratio || 0)) * 100);
+    this.setStatus(`${label}… ${pct}%`, "muted");
+  }
+
+  updateBusyState() {
+    this.btnCancel.hidden = !this.engine.busy;
+  }
+
+  enableControls(enabled) {
+    this.globalSearch.disabled = !enabled;
+    this.fuzzyToggle.disabled = !enabled;
+    this.presetName.disabled = !enabled;
+    this.presetSelect.disabled = !enabled;
+    this.btnSavePreset.disabled = !enabled;
+    this.btnLoadPreset.disabled = !enabled;
+    this.btnClear.disabled = !enabled;
+    this.btnExport.disabled = !enabled;
+    this.btnRenamePreset.disabled = !enabled;
+    this.btnDeletePreset.disabled = !enabled;
+    this.btnUpdatePreset.disabled = !enabled;
+    this.btnApply.disabled = !enabled;
+    this.btnForget.disabled = !enabled;
+    this.btnColumns.disabled = !enabled;
+    this.btnReport.disabled = !enabled;
+  }
+
+  isDirty() {
+    // Compare applied vs draft (ignore collapsed differences)
+    const a = deepClone(this.appliedState);
+    const d = deepClone(this.draftState);
+    for (const c of Object.keys(a.columns || {})) delete a.columns[c].collapsed;
+    for (const c of Object.keys(d.columns || {})) delete d.columns[c].collapsed;
+    return JSON.stringify(a) !== JSON.stringify(d);
+  }
+
+  updateApplyButtonState() {
+    if (!this.rawRows.length) {
+      this.btnApply.disabled = true;
+      return;
+    }
+    const dirty = this.isDirty();
+    this.btnApply.disabled = !dirty && !this.resultsStale;
+    if (dirty) this.setStatus("Pending changes. Click Apply to refresh results.", "muted");
+  }
+
+  // A draft filter / search / rule edit: refresh Apply and record the edit for undo
+  draftEdited() {
+    this.updateApplyButtonState();
+    this.recordDraftEdit();
+  }
+
+  // ---------- Undo / redo ----------
+  // Snapshots of { draft, applied, sort }; undoIndex points at the entry matching what is on screen
+  undoSnapshot(label) {
+    return {
+      label,
+      at: Date.now(),
+      draft: deepClone(this.draftState),
+      applied: deepClone(this.appliedState),
+      sort: deepClone(this.sortState),
+      draftKey: JSON.stringify(compactFilterState(this.draftState)),
+      viewKey: JSON.stringify([compactFilterState(this.appliedState), this.sortState])
+    };
+  }
+
+  resetUndo(label) {
+    this.undoSteps = label ? [this.undoSnapshot(label)] : [];
+    this.undoIndex = this.undoSteps.length - 1;
+    this.renderUndoControls();
+  }
+
+  // Drops any redo steps; consecutive edits of the same thing (typing) merge into one step
+  recordStep(label, { merge = false } = {}) {
+    if (!this.undoSteps.length) return;
+    const snap = this.undoSnapshot(label);
+    const current = this.undoSteps[this.undoIndex];
+    if (snap.draftKey === current.draftKey && snap.viewKey === current.viewKey) return;
+
+    this.undoSteps = this.undoSteps.slice(0, this.undoIndex + 1);
+    if (merge && this.undoIndex > 0 && current.label === label && snap.at - current.at < UNDO_MERGE_MS) {
+      this.undoSteps[this.undoIndex] = snap;
+    } else {
+      this.undoSteps.push(snap);
+      if (this.undoSteps.length > UNDO_LIMIT) this.undoSteps.shift();
+      this.undoIndex = this.undoSteps.length - 1;
+    }
+    this.renderUndoControls();
+  }
+
+  // Draft-only changes (the applied view and sort are recorded by Apply / Clear / sort / preset load)
+  recordDraftEdit() {
+    if (!this.undoSteps.length) return;
+    const current = this.undoSteps[this.undoIndex];
+    const viewKey = JSON.stringify([compactFilterState(this.appliedState), this.sortState]);
+    if (viewKey !== current.viewKey) return;
+
+    const before = compactFilterState(current.draft);
+    const after = compactFilterState(this.draftState);
+    const cols = new Set([...Object.keys(before.columns), ...Object.keys(after.columns)]);
+    const changed = [...cols].filter(c => JSON.stringify(before.columns[c]) !== JSON.stringify(after.columns[c]));
+    let label = null;
+    if (changed.length === 1) label = `Edit ${this.columnLabel(changed[0])} filter`;
+    else if (changed.length > 1) label = `Edit ${changed.length} filters`;
+    else if (before.global !== after.global) label = "Edit search";
+    else if (before.fuzzy !== after.fuzzy) label = after.fuzzy ? "Fuzzy matching on" : "Fuzzy matching off";
+    else if (JSON.stringify(before.rules) !== JSON.stringify(after.rules)) label = "Edit rules";
+    if (label) this.recordStep(label, { merge: true });
+  }
+
+  async goToStep(index) {
+    if (index < 0 || index >= this.undoSteps.length || index === this.undoIndex || !this.rawRows.length) return;
+    const from = this.undoSteps[this.undoIndex];
+    const to = this.undoSteps[index];
+    const step = index < this.undoIndex ? `Undid: ${from.label}` : `Redid: ${to.label}`;
+    const showStates = (snap) => {
+      this.draftState = deepClone(snap.draft);
+      this.appliedState = deepClone(snap.applied);
+      this.sortState = deepClone(snap.sort);
+      this.globalSearch.value = this.draftState.global;
+      this.fuzzyToggle.checked = !!this.draftState.fuzzy;
+      this.renderSearchFeedback();
+      this.buildTableHeader();
+    };
+    // the states currently on screen (the draft may have unrecorded edits)
+    const current = { draft: deepClone(this.draftState), applied: deepClone(this.appliedState), sort: deepClone(this.sortState) };
+    showStates(to);
+
+    if (to.viewKey !== from.viewKey) {
+      // the history moves only once the step is on screen
+      if (!await this.applyAppliedFiltersAndRender({ rollback: () => showStates(current) })) return;
+    } else {
+      this.ensureStateSchemas();
+      this.buildFiltersUI();
+      this.updateApplyButtonState();
+    }
+    this.undoIndex = index;
+    this.renderUndoControls();
+    this.setStatus(step, "muted");
+  }
+
+  undo() {
+    return this.goToStep(this.undoIndex - 1);
+  }
+
+  redo() {
+    return this.goToStep(this.undoIndex + 1);
+  }
+
+  renderUndoControls() {
+    const has = this.undoSteps.length > 0;
+    this.btnUndo.disabled = !has || this.undoIndex <= 0;
+    this.btnRedo.disabled = !has || this.undoIndex >= this.undoSteps.length - 1;
+    this.undoSelect.disabled = this.undoSteps.length < 2;
+    this.undoSelect.innerHTML = "";
+    if (!has) {
+      const o = document.createElement("option");
+      o.textContent = "No history";
+      this.undoSelect.appendChild(o);
+      return;
+    }
+    // newest first, like an undo menu; steps after the current one are the redo steps
+    for (let i = this.undoSteps.length - 1; i >= 0; i--) {
+      const o = document.createElement("option");
+      o.value = String(i);
+      o.textContent = `${i + 1}. ${this.undoSteps[i].label}${i > this.undoIndex ? " (undone)" : ""}`;
+      this.undoSelect.appendChild(o);
+    }
+    this.undoSelect.value = String(this.undoIndex);
+  }
+
+  // Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y) in the visible section; text fields keep their own undo
+  handleUndoKey(ev) {
+    if (!(ev.ctrlKey || ev.metaKey) || ev.altKey || !this.isActiveSection() || !this.undoSteps.length) return;
+    const key = ev.key.toLowerCase();
+    const redo = (key === "z" && ev.shiftKey) || (key === "y" && !ev.shiftKey);
+    if (key !== "z" && !redo) return;
+    const t = ev.target;
+    if (t?.isContentEditable || t?.tagName === "TEXTAREA" || (t?.tagName === "INPUT" && !["checkbox", "radio", "button"].includes(t.type))) return;
+    if (document.querySelector(".dialog-backdrop")) return;
+    ev.preventDefault();
+    if (redo) this.redo();
+    else this.undo();
+  }
+
+  // ---------- Facets (computed by the engine for the APPLIED state) ----------
+  getFacet(col) {
+    return this.facets.get(col) || { size: 0, counts: new Map() };
+  }
+
+  // Decided on the whole column (not the filtered view) so a filter keeps its kind while other filters change
+  isLowCardinalityByCounts(facet) {
+    const uniq = facet.distinct ?? facet.size;
+    return uniq > 0 && uniq <= LOW_CARDINALITY_MAX;
+  }
+
+  // Multi-select when the column has a short enough value list, otherwise the natural condition for its type
+  defaultFilterOp(col) {
+    if (isForcedMulti(col) || this.isLowCardinalityByCounts(this.getFacet(col))) return "in";
+    return { number: "between", date: "between", boolean: "equals" }[this.columnTypes[col]] || "contains";
+  }
+
+  ensureStateSchemas() {
+    for (const col of this.columns) {
+      if (!this.appliedState.columns[col]) {
+        this.appliedState.columns[col] = { ...emptyFilter(this.defaultFilterOp(col)), collapsed: true };
+      }
+      if (!this.draftState.columns[col]) {
+        this.draftState.columns[col] = { ...deepClone(this.appliedState.columns[col]), collapsed: true };
+      }
+      normalizeFilterState(this.appliedState.columns[col]);
+      normalizeFilterState(this.draftState.columns[col]);
+    }
+    if (!isRuleGroup(this.appliedState.rules)) this.appliedState.rules = emptyRuleGroup();
+    if (!isRuleGroup(this.draftState.rules)) this.draftState.rules = emptyRuleGroup();
+  }
+
+  // ---------- Dashboard ----------
+  // KPI / breakdown values come from the engine's column index (see runQuery summaries), keyed "kpi:<n>" / "bd:<n>"
+  getSummary(key) {
+    return this.summaries.get(key) || { value: null, top: [] };
+  }
+
+  findColumnName(candidates) {
+    return findColumnIn(this.columns, candidates);
+  }
+
+  getDashboardColumns() {
+    return {
+      asset: this.findColumnName(["Asset Tag","AssetTag","Asset"]),
+      serial: this.findColumnName(["Serial Number","Serial","SerialNumber"]),
+      model: this.findColumnName(["Model","Device Model","Model Name"]),
+      category: this.findColumnName(["Category","Device Type","Type"]),
+      condition: this.findColumnName(["Condition","Grade"]),
+      location: this.findColumnName(["Location","Site"]),
+      company: this.findColumnName(["Company","Customer","Client"]),
+      loggedBy: this.findColumnName(["Logged By","LoggedBy","Checked In By","Technician"]),
+      assignedTo: this.findColumnName(["Employee Assign To","Assigned To","Assignee","Employee"]),
+    };
+  }
+
+  // The original fixed cards; columns that are not in the data keep their usual name (shown as "not found")
+  defaultLayout() {
+    const d = this.getDashboardColumns();
+    return {
+      kpis: [
+        { label: "Total Matching Rows", col: "", agg: "count" },
+        { label: "Unique Asset Tags", col: d.asset || "Asset Tag", agg: "unique" },
+        { label: "Unique Serials", col: d.serial || "Serial Number", agg: "unique" },
+        { label: "Unique Models", col: d.model || "Model", agg: "unique" },
+      ],
+      breakdowns: [
+        { label: "Category", col: d.category || "Category", agg: "count", measure: "" },
+        { label: "Condition", col: d.condition || "Condition", agg: "count", measure: "" },
+        { label: "Location", col: d.location || "Location", agg: "count", measure: "" },
+        { label: "Company", col: d.company || "Company", agg: "count", measure: "" },
+        { label: "Logged By", col: d.loggedBy || "Logged By", agg: "count", measure: "" },
+        { label: "Employee Assign To", col: d.assignedTo || "Employee Assign To", agg: "count", measure: "" },
+      ]
+    };
+  }
+
+  loadLayout() {
+    try {
+      const raw = localStorage.getItem(this.LAYOUT_KEY);
+      return raw ? normalizeLayout(JSON.parse(raw)) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  getLayout() {
+    return this.loadLayout() || this.defaultLayout();
+  }
+
+  // Cards the engine should compute for renderDashboard()
+  getSummaryRequests() {
+    const { kpis, breakdowns } = this.getLayout();
+    return [
+      ...kpis.map((c, i) => ({ key: `kpi:${i}`, col: c.col, agg: c.agg })),
+      ...breakdowns.map((c, i) => ({ key: `bd:${i}`, col: c.col, agg: c.agg, measure: c.measure, top: BREAKDOWN_TOP })),
+    ];
+  }
+
+  // Display values of the KPI / breakdown cards, shared by the page and the printable report
+  dashboardCards() {
+    const rows = this.filteredRows || [];
+    const { kpis, breakdowns } = this.getLayout();
+    const missing = (col) => !col || !this.columns.includes(col);
+
+    return {
+      kpis: kpis.map((k, i) => ({
+        label: kpiLabel(k),
+        value: formatAggregate(this.getSummary(`kpi:${i}`).value, k.agg, this.columnTypes[k.col]),
+        sub: !k.col ? "Based on applied filters" : missing(k.col) ? "Column not found" : k.col
+      })),
+      breakdowns: breakdowns.map((b, i) => {
+        if (missing(b.col)) return { title: `${breakdownLabel(b)} (Column not found)`, message: "No matching column in this CSV.", items: [] };
+        const title = `${breakdownLabel(b)} (Top)`;
+        if (!rows.length) return { title, message: "No rows match current filters.", items: [] };
+        return {
+          title,
+          message: "",
+          items: this.getSummary(`bd:${i}`).top.map(([value, aggregate]) =>
+            [value || "(Blank)", formatAggregate(aggregate, b.agg, this.columnTypes[b.measure])])
+        };
+      })
+    };
+  }
+
+  renderDashboard() {
+    const { kpis, breakdowns } = this.dashboardCards();
+
+    this.kpiRow.innerHTML = "";
+    for (const k of kpis) {
+      const card = document.createElement("div");
+      card.className = "kpi";
+
+      const l = document.createElement("div");
+      l.className = "label";
+      l.textContent = k.label;
+
+      const v = document.createElement("div");
+      v.className = "value";
+      v.textContent = k.value;
+
+      const s = document.createElement("div");
+      s.className = "sub";
+      s.textContent = k.sub;
+
+      card.appendChild(l);
+      card.appendChild(v);
+      card.appendChild(s);
+      this.kpiRow.appendChild(card);
+    }
+
+    this.breakdownGrid.innerHTML = "";
+    for (const b of breakdowns) {
+      const card = document.createElement("div");
+      card.className = "bd";
+
+      const t = document.createElement("div");
+      t.className = "title";
+      t.textContent = b.title;
+
+      const list = document.createElement("div");
+      list.className = "list";
+
+      if (b.message) {
+        const item = document.createElement("div");
+        item.className = "muted";
+        item.style.fontSize = "12px";
+        item.textContent = b.message;
+        list.appendChild(item);
+      } else {
+        for (const [name, value] of b.items) {
+          const it = document.createElement("div");
+          it.className = "item";
+
+          const nm = document.createElement("div");
+          nm.className = "name";
+          nm.title = name;
+          nm.textContent = name;
+
+          const ct = document.createElement("div");
+          ct.className = "count";
+          ct.textContent = value;
+
+          it.appendChild(nm);
+          it.appendChild(ct);
+          list.appendChild(it);
+        }
+      }
+
+      card.appendChild(t);
+      card.appendChild(list);
+      this.breakdownGrid.appendChild(card);
+    }
+  }
+
+  // Add / remove / reorder cards and pick their column + aggregate; saved per report section
+  async openLayoutDialog() {
+    const layout = deepClone(this.getLayout());
+    const wrap = document.createElement("div");
+    wrap.className = "layout-editor";
+
+    const select = (options, value, onChange) => {
+      const sel = document.createElement("select");
+      sel.className = "select";
+      for (const [v, label] of options) {
+        const o = document.createElement("option");
+        o.value = v;
+        o.textContent = label;
+        sel.appendChild(o);
+      }
+      sel.value = value;
+      sel.addEventListener("change", () => onChange(sel.value));
+      return sel;
+    };
+    const columnOptions = (current, blankLabel) => {
+      const opts = blankLabel ? [["", blankLabel]] : [];
+      for (const c of this.columns) opts.push([c, c]);
+      if (current && !this.columns.includes(current)) opts.push([current, `${current} (not in data)`]);
+      return opts;
+    };
+    const aggOptions = Object.entries(AGGREGATES).map(([id, a]) => [id, a.label]);
+
+    const renderList = (kind) => {
+      const cards = layout[kind];
+      const box = document.createElement("div");
+      box.className = "layout-list";
+
+      const head = document.createElement("div");
+      head.className = "layout-list-head";
+      const t = document.createElement("div");
+      t.className = "dialog-title";
+      t.textContent = kind === "kpis" ? "KPI cards" : "Breakdown cards";
+      const add = document.createElement("button");
+      add.className = "small-btn";
+      add.type = "button";
+      add.textContent = kind === "kpis" ? "+ Add KPI" : "+ Add breakdown";
+      add.addEventListener("click", () => {
+        const col = this.columns[0] || "";
+        cards.push(kind === "kpis" ? { label: "", col, agg: "unique" } : { label: "", col, agg: "count", measure: "" });
+        render();
+      });
+      head.appendChild(t);
+      head.appendChild(add);
+      box.appendChild(head);
+
+      if (!cards.length) {
+        const empty = document.createElement("div");
+        empty.className = "muted";
+        empty.style.fontSize = "12px";
+        empty.textContent = "No cards. This part of the dashboard is hidden.";
+        box.appendChild(empty);
+      }
+
+      cards.forEach((card, i) => {
+        const row = document.createElement("div");
+        row.className = `layout-row ${kind}`;
+
+        const label = document.createElement("input");
+        label.className = "input";
+        label.type = "text";
+        label.value = card.label;
+        label.placeholder = kind === "kpis" ? kpiLabel({ ...card, label: "" }) : breakdownLabel({ ...card, label: "" });
+        label.addEventListener("input", () => { card.label = label.value; });
+        row.appendChild(label);
+
+        row.appendChild(select(columnOptions(card.col, kind === "kpis" ? "(All rows)" : ""), card.col, (v) => { card.col = v; render(); }));
+        row.appendChild(select(aggOptions, card.agg, (v) => { card.agg = v; render(); }));
+        if (kind === "breakdowns") {
+          const measure = select(columnOptions(card.measure, "(Rows)"), card.measure, (v) => { card.measure = v; render(); });
+          measure.disabled = card.agg === "count";
+          measure.title = "Column the aggregate is computed over";
+          row.appendChild(measure);
+        }
+
+        const move = (delta) => {
+          const j = i + delta;
+          if (j < 0 || j >= cards.length) return;
+          [cards[i], cards[j]] = [cards[j], cards[i]];
+          render();
+        };
+        for (const [text, title, fn, disabled] of [
+          ["↑", "Move up", () => move(-1), i === 0],
+          ["↓", "Move down", () => move(1), i === cards.length - 1],
+          ["✕", "Remove", () => { cards.splice(i, 1); render(); }, false],
+        ]) {
+          const btn = document.createElement("button");
+          btn.className = "small-btn";
+          btn.type = "button";
+          btn.textContent = text;
+          btn.title = title;
+          btn.disabled = disabled;
+          btn.addEventListener("click", fn);
+          row.appendChild(btn);
+        }
+        box.appendChild(row);
+      });
+      return box;
+    };
+
+    const render = () => {
+      wrap.innerHTML = "";
+      wrap.appendChild(renderList("kpis"));
+      wrap.appendChild(renderList("breakdowns"));
+    };
+    render();
+
+    const action = await openDialog({
+      title: "Customize dashboard",
+      subtitle: "KPI and breakdown cards for this report section. Sum / average / min / max use the values that are numbers (or dates).",
+      body: wrap,
+      wide: true,
+      actions: [
+        { id: "reset", label: "Reset to Default", variant: "secondary" },
+        { id: "cancel", label: "Cancel", variant: "secondary" },
+        { id: "save", label: "Save Layout" }
+      ]
+    });
+    if (action !== "save" && action !== "reset") return;
+
+    if (action === "reset") localStorage.removeItem(this.LAYOUT_KEY);
+    else localStorage.setItem(this.LAYOUT_KEY, JSON.stringify(layout));
+
+    if (!this.rawRows.length) return;
+    if (await this.applyAppliedFiltersAndRender()) {
+      this.setStatus(action === "reset" ? "Dashboard layout reset to default." : "Dashboard layout saved.", "success");
+    }
+  }
+
+  // ---------- Charts ----------
+  loadChartSettings() {
+    try {
+      const raw = localStorage.getItem(this.CHARTS_KEY);
+      const parsed = raw ? JSON.parse(raw) : {};
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+
+  saveChartSettings(settings) {
+    localStorage.setItem(this.CHARTS_KEY, JSON.stringify(settings));
+  }
+
+  // Saved picks that still exist in the loaded columns, otherwise the dashboard's usual columns
+  getChartSettings() {
+    const saved = this.loadChartSettings();
+    const d = this.getDashboardColumns();
+    const dateCol = this.columns.find(c => this.columnTypes[c] === "date") || null;
+    const has = (col) => (col && this.columns.includes(col) ? col : null);
+    const first = this.columns[0] || null;
+    return {
+      bar: { col: has(saved.bar?.col) || d.category || d.model || first },
+      stacked: {
+        col: has(saved.stacked?.col) || d.location || first,
+        by: has(saved.stacked?.by) || d.category || d.condition || first
+      },
+      donut: { col: has(saved.donut?.col) || d.condition || d.location || first },
+      line: {
+        col: has(saved.line?.col) || dateCol,
+        interval: TIME_INTERVALS.includes(saved.line?.interval) ? saved.line.interval : "auto"
+      }
+    };
+  }
+
+  updateChartSetting(chart, key, value) {
+    const settings = this.getChartSettings();
+    settings[chart][key] = value;
+    this.saveChartSettings(settings);
+    this.renderCharts();
+  }
+
+  chartPicker(options, value, onChange) {
+    const sel = document.createElement("select");
+    sel.className = "type-select";
+    for (const [v, label] of options) {
+      const o = document.createElement("option");
+      o.value = v;
+      o.textContent = label;
+      sel.appendChild(o);
+    }
+    sel.value = value || "";
+    sel.addEventListener("change", () => onChange(sel.value));
+    return sel;
+  }
+
+  chartCard(title, pickers) {
+    const card = document.createElement("div");
+    card.className = "bd chart-card";
+
+    const head = document.createElement("div");
+    head.className = "chart-head";
+    const t = document.createElement("div");
+    t.className = "title";
+    t.textContent = title;
+    head.appendChild(t);
+
+    const picks = document.createElement("div");
+    picks.className = "chart-pickers";
+    for (const p of pickers) picks.appendChild(p);
+    head.appendChild(picks);
+
+    card.appendChild(head);
+    this.chartGrid.appendChild(card);
+    return card;
+  }
+
+  chartMessage(card, text) {
+    const item = document.createElement("div");
+    item.className = "muted";
+    item.style.fontSize = "12px";
+    item.textContent = text;
+    card.appendChild(item);
+  }
+
+  renderCharts() {
+    const rows = this.filteredRows || [];
+    const settings = this.getChartSettings();
+    const colOptions = this.columns.map(c => [c, c]);
+    const dateOptions = this.columns.filter(c => this.columnTypes[c] === "date").map(c => [c, c]);
+    const columnPicker = (chart, key) =>
+      this.chartPicker(colOptions, settings[chart][key], (v) => this.updateChartSetting(chart, key, v));
+
+    this.chartGrid.innerHTML = "";
+
+    // Bar: top values of one column
+    const bar = this.chartCard("Bar", [columnPicker("bar", "col")]);
+    if (!rows.length) this.chartMessage(bar, "No rows match current filters.");
+    else {
+      const col = settings.bar.col;
+      bar.appendChild(renderBarChart(topWithOther(countBy(rows, col), CHART_BAR_LIMIT).map(e => ({
+        label: chartLabel(e.value),
+        value: e.count,
+        color: e.other ? CHART_COLORS[7] : CHART_COLORS[0],
+        pick: e.other ? null : () => this.addDraftFilters([[col, e.value]])
+      }))));
+    }
+
+    // Stacked bar: one column split by another
+    const stacked = this.chartCard("Stacked bar", [columnPicker("stacked", "col"), columnPicker("stacked", "by")]);
+    if (!rows.length) this.chartMessage(stacked, "No rows match current filters.");
+    else {
+      const { col, by } = settings.stacked;
+      const seriesTop = topWithOther(countBy(rows, by), CHART_STACK_LIMIT);
+      const seriesIndex = new Map(seriesTop.filter(s => !s.other).map((s, i) => [s.value, i]));
+      const series = seriesTop.map((s, i) => ({
+        label: chartLabel(s.value),
+        color: s.other ? CHART_COLORS[7] : CHART_COLORS[i % CHART_COLORS.length]
+      }));
+
+      const groups = topWithOther(countBy(rows, col), CHART_BAR_LIMIT);
+      const groupIndex = new Map(groups.filter(g => !g.other).map((g, i) => [g.value, i]));
+      const cells = groups.map(() => new Array(series.length).fill(0));
+      for (const r of rows) {
+        const g = normalizeValue(r[col]);
+        const s = normalizeValue(r[by]);
+        const gi = groupIndex.has(g) ? groupIndex.get(g) : groups.length - 1;
+        cells[gi][seriesIndex.has(s) ? seriesIndex.get(s) : series.length - 1]++;
+      }
+
+      const chartRows = groups.map((g, gi) => ({
+        label: chartLabel(g.value),
+        total: g.count,
+        segments: cells[gi].map((value, i) => ({
+          series: i,
+          value,
+          pick: g.other || seriesTop[i].other ? null : () => this.addDraftFilters([[col, g.value], [by, seriesTop[i].value]])
+        }))
+      }));
+      stacked.appendChild(renderStackedBarChart(chartRows, series));
+      stacked.appendChild(this.chartLegend(series));
+    }
+
+    // Donut: share of each value
+    const donut = this.chartCard("Donut", [columnPicker("donut", "col")]);
+    if (!rows.length) this.chartMessage(donut, "No rows match current filters.");
+    else {
+      const col = settings.donut.col;
+      const data = topWithOther(countBy(rows, col), CHART_SLICE_LIMIT).map((e, i) => ({
+        label: chartLabel(e.value),
+        value: e.count,
+        color: e.other ? CHART_COLORS[7] : CHART_COLORS[i % CHART_COLORS.length],
+        pick: e.other ? null : () => this.addDraftFilters([[col, e.value]])
+      }));
+      const wrap = document.createElement("div");
+      wrap.className = "donut-wrap";
+      wrap.appendChild(renderDonutChart(data));
+      wrap.appendChild(this.chartLegend(data));
+      donut.appendChild(wrap);
+    }
+
+    // Line: rows per day / week / month of a date column
+    const lineCol = settings.line.col;
+    const linePickers = dateOptions.length
+      ? [
+          this.chartPicker(dateOptions, lineCol, (v) => this.updateChartSetting("line", "col", v)),
+          this.chartPicker(TIME_INTERVALS.map(i => [i, i[0].toUpperCase() + i.slice(1)]), settings.line.interval,
+            (v) => this.updateChartSetting("line", "interval", v))
+        ]
+      : [];
+    const line = this.chartCard("Over time", linePickers);
+    if (!lineCol) this.chartMessage(line, "No date column in this data. Set a column's type to Date to chart it over time.");
+    else if (!rows.length) this.chartMessage(line, "No rows match current filters.");
+    else {
+      const { buckets } = timeBuckets(rows, lineCol, settings.line.interval);
+      if (!buckets.length) this.chartMessage(line, `No dates in ${lineCol} for the matching rows.`);
+      else {
+        // b.end is the next bucket's local midnight; a day is not always 24 hours (DST), so step back 1 ms
+        line.appendChild(renderLineChart(buckets.map(b => ({
+          label: b.label,
+          value: b.count,
+          pick: () => this.addDraftFilters([[lineCol, { op: "between", value: isoDay(b.start), value2: isoDay(b.end - 1) }]])
+        }))));
+      }
+    }
+  }
+
+  chartLegend(series) {
+    const legend = document.createElement("div");
+    legend.className = "chart-legend";
+    for (const s of series) {
+      const item = document.createElement("span");
+      const swatch = document.createElement("i");
+      swatch.style.background = s.color;
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(s.label));
+      item.title = s.label;
+      legend.appendChild(item);
+    }
+    return legend;
+  }
+
+  // Chart clicks and pivot drill-downs add to the DRAFT filters (like picking an option); results change on Apply.
+  // Each entry is [col, value] (added to the column's multi-select) or [col, condition].
+  addDraftFilters(entries) {
+    const added = [];
+    for (const [col, target] of entries) {
+      let f = this.draftState.columns[col];
+      if (typeof target === "object") {
+        f = { ...emptyFilter(target.op), ...target };
+      } else if (target === "") {
+        f = emptyFilter("blank");
+      } else {
+        if (!f || filterOp(f) !== "in") f = emptyFilter("in");
+        if (!f.value.includes(target)) f.value = [...f.value, target];
+      }
+      f.collapsed = false;
+      this.draftState.columns[col] = f;
+      added.push(describeCondition(col, f));
+    }
+    this.buildFiltersUI();
+    this.draftEdited();
+    this.setStatus(`Added ${added.join(" and ")} to the filters. Click Apply to refresh results.`, "muted");
+  }
+
+  // ---------- Pivot ----------
+  loadPivotSettings() {
+    try {
+      const raw = localStorage.getItem(this.PIVOT_KEY);
+      const parsed = raw ? JSON.parse(raw) : {};
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+
+  // Saved dimensions that still exist in the loaded columns; defaults to Location × Model when present
+  getPivotConfig() {
+    const saved = this.loadPivotSettings();
+    const d = this.getDashboardColumns();
+    const keep = (cols) => (Array.isArray(cols) ? cols.filter(c => this.columns.includes(c)) : null);
+    const rowDims = keep(saved.rowDims) || [d.location || this.columns[0]].filter(Boolean);
+    const colDims = keep(saved.colDims) || [d.model].filter(c => c && !rowDims.includes(c));
+    return {
+      open: !!saved.open,
+      rowDims,
+      colDims,
+      measure: this.columns.includes(saved.measure) ? saved.measure : "",
+      agg: PIVOT_AGGREGATES.includes(saved.agg) ? saved.agg : "count",
+      subtotals: saved.subtotals !== false
+    };
+  }
+
+  updatePivotConfig(changes) {
+    const cfg = { ...this.getPivotConfig(), ...changes };
+    localStorage.setItem(this.PIVOT_KEY, JSON.stringify(cfg));
+    this.renderPivot();
+  }
+
+  setPivotMode(open) {
+    this.updatePivotConfig({ open });
+  }
+
+  pivotMeasureLabel(cfg) {
+    return cfg.agg === "count" ? "Count" : `${AGGREGATES[cfg.agg].label} of ${cfg.measure}`;
+  }
+
+  buildPivotControls(cfg) {
+    const wrap = this.pivotControls;
+    wrap.innerHTML = "";
+
+    const select = (options, value, onChange) => {
+      const sel = document.createElement("select");
+      sel.className = "select";
+      for (const [v, label] of options) {
+        const o = document.createElement("option");
+        o.value = v;
+        o.textContent = label;
+        sel.appendChild(o);
+      }
+      sel.value = value;
+      sel.addEventListener("change", () => onChange(sel.value));
+      return sel;
+    };
+    const button = (text, title, onClick) => {
+      const btn = document.createElement("button");
+      btn.className = "small-btn";
+      btn.type = "button";
+      btn.textContent = text;
+      btn.title = title;
+      btn.addEventListener("click", onClick);
+      return btn;
+    };
+    const group = (label) => {
+      const g = document.createElement("div");
+      g.className = "pivot-group";
+      const l = document.createElement("span");
+      l.className = "muted";
+      l.textContent = label;
+      g.appendChild(l);
+      wrap.appendChild(g);
+      return g;
+    };
+
+    // one select per dimension; a column can only be used once across rows and columns
+    const dimensions = (label, key, max) => {
+      const g = group(label);
+      const dims = cfg[key];
+      dims.forEach((col, i) => {
+        const used = new Set([...cfg.rowDims, ...cfg.colDims]);
+        used.delete(col);
+        const options = this.columns.filter(c => !used.has(c)).map(c => [c, c]);
+        g.appendChild(select(options, col, (v) => {
+          const next = [...dims];
+          next[i] = v;
+          this.updatePivotConfig({ [key]: next });
+        }));
+        g.appendChild(button("✕", `Remove ${col}`, () => this.updatePivotConfig({ [key]: dims.filter((_, j) => j !== i) })));
+      });
+      const free = this.columns.find(c => !cfg.rowDims.includes(c) && !cfg.colDims.includes(c));
+      if (dims.length < max && free) {
+        g.appendChild(button("+ Add", `Add a ${label.toLowerCase()} dimension`, () => this.updatePivotConfig({ [key]: [...dims, free] })));
+      }
+    };
+    dimensions("Rows", "rowDims", 3);
+    dimensions("Columns", "colDims", 2);
+
+    const values = group("Value");
+    values.appendChild(select(PIVOT_AGGREGATES.map(a => [a, AGGREGATES[a].label]), cfg.agg, (v) => this.updatePivotConfig({ agg: v })));
+    const measure = select([["", "(Choose a column)"], ...this.columns.map(c => [c, c])], cfg.measure, (v) => this.updatePivotConfig({ measure: v }));
+    measure.disabled = cfg.agg === "count";
+    measure.title = "Numeric column to sum or average";
+    values.appendChild(measure);
+
+    const sub = document.createElement("label");
+    sub.className = "toggle-row";
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.checked = cfg.subtotals;
+    cb.disabled = cfg.rowDims.length < 2;
+    cb.addEventListener("change", () => this.updatePivotConfig({ subtotals: cb.checked }));
+    sub.appendChild(cb);
+    sub.appendChild(document.createTextNode(" Subtotals"));
+    wrap.appendChild(sub);
+  }
+
+  pivotMessage(text) {
+    const item = document.createElement("div");
+    item.className = "muted";
+    item.style.fontSize = "12px";
+    item.textContent = text;
+    this.pivotTable.appendChild(item);
+  }
+
+  async renderPivot() {
+    const token = ++this.pivotToken;
+    const cfg = this.getPivotConfig();
+    const open = cfg.open && this.rawRows.length > 0;
+    this.btnPivot.textContent = cfg.open ? "Table View" : "Pivot View";
+    this.pivotPanel.hidden = !open;
+    this.tableWrap.hidden = open;
+    this.tableToolbar.hidden = open;
+    this.pivot = null;
+    this.btnPivotExport.disabled = true;
+    if (!open) return;
+
+    this.buildPivotControls(cfg);
+    this.pivotTable.innerHTML = "";
+
+    const rows = this.filteredRows || [];
+    if (!rows.length) return this.pivotMessage("No rows match current filters.");
+    if (cfg.agg !== "count" && !cfg.measure) return this.pivotMessage("Choose the column to sum or average.");
+
+    let root, colKeys;
+    try {
+      ({ root, colKeys } = await this.engine.pivot(this.resultQuery.state, { rowDims: cfg.rowDims, colDims: cfg.colDims, measure: cfg.measure }));
+    } catch (err) {
+      if (token !== this.pivotToken) return;
+      return this.pivotMessage(isAbortError(err) ? "Pivot cancelled; change a setting or click Apply to build it again." : `Could not build the pivot: ${err.message}`);
+    }
+    if (token !== this.pivotToken) return;
+    if (colKeys.length > PIVOT_COLUMN_LIMIT) {
+      return this.pivotMessage(`The column dimensions have ${colKeys.length} combinations; pick columns with at most ${PIVOT_COLUMN_LIMIT}.`);
+    }
+    const lines = pivotLines(root, cfg.rowDims.length, cfg.subtotals);
+    this.pivot = { cfg, root, colKeys, lines };
+    this.btnPivotExport.disabled = false;
+
+    const valueCols = cfg.colDims.length
+      ? [...colKeys.map(c => ({ key: c.key, label: c.values.map(chartLabel).join(" / "), values: c.values })), { key: PIVOT_TOTAL, label: "Total" }]
+      : [{ key: PIVOT_TOTAL, label: this.pivotMeasureLabel(cfg) }];
+
+    const table = document.createElement("table");
+    const thead = document.createElement("thead");
+    const htr = document.createElement("tr");
+    const headers = cfg.rowDims.length ? cfg.rowDims : ["Rows"];
+    for (const h of headers) {
+      const th = document.createElement("th");
+      th.textContent = h;
+      htr.appendChild(th);
+    }
+    for (const c of valueCols) {
+      const th = document.createElement("th");
+      th.className = "num";
+      th.textContent = c.label;
+      th.title = cfg.colDims.length ? `${cfg.colDims.join(" / ")}: ${c.label} • ${this.pivotMeasureLabel(cfg)}` : c.label;
+      htr.appendChild(th);
+    }
+    thead.appendChild(htr);
+    table.appendChild(thead);
+
+    const tbody = document.createElement("tbody");
+    for (const line of lines.slice(0, PIVOT_LINE_LIMIT)) {
+      const tr = document.createElement("tr");
+      if (line.kind !== "leaf") tr.className = `pivot-${line.kind}`;
+      for (const cell of this.pivotLineLabels(line, headers.length)) {
+        const td = document.createElement("td");
+        td.textContent = cell;
+        td.title = cell;
+        tr.appendChild(td);
+      }
+      for (const c of valueCols) {
+        const cell = line.node.cells.get(c.key);
+        const td = document.createElement("td");
+        td.className = "num";
+        td.textContent = cell ? formatAggregate(pivotValue(cell, cfg.agg), cfg.agg, "number") : "";
+        if (cell) {
+          td.classList.add("pickable");
+          td.tabIndex = 0;
+          td.title = `${cell.count} row(s). Click to see them.`;
+          const open = () => this.openPivotDrill(line.node, c, cfg);
+          td.addEventListener("click", open);
+          td.addEventListener("keydown", (ev) => { if (ev.key === "Enter") open(); });
+        }
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    this.pivotTable.appendChild(table);
+
+    if (lines.length > PIVOT_LINE_LIMIT) {
+      this.pivotMessage(`Showing the first ${PIVOT_LINE_LIMIT} of ${lines.length} lines. Export Pivot CSV includes all of them.`);
+    }
+  }
+
+  // Row header cells of a pivot line (one per row dimension)
+  pivotLineLabels(line, width) {
+    const labels = new Array(width).fill("");
+    if (line.kind === "total") labels[0] = "Grand Total";
+    else if (!line.node.values.length) labels[0] = "All rows";
+    else {
+      line.node.values.forEach((v, i) => { labels[i] = chartLabel(v); });
+      if (line.kind === "subtotal") labels[line.node.values.length] = `${chartLabel(line.node.values.at(-1))} Subtotal`;
+    }
+    return labels;
+  }
+
+  // Rows behind one pivot cell; can be exported or turned into draft filters
+  async openPivotDrill(node, col, cfg) {
+    const DRILL_DISPLAY_LIMIT = 200;
+    const cell = node.cells.get(col.key);
+    const entries = node.values.map((v, i) => [cfg.rowDims[i], v]);
+    if (col.key !== PIVOT_TOTAL) col.values.forEach((v, i) => entries.push([cfg.colDims[i], v]));
+
+    let rows;
+    try {
+      const ids = await this.engine.pivotRows(this.resultQuery.state, this.resultQuery.sort, entries);
+      rows = Array.from(ids, i => this.rawRows[i]);
+    } catch (err) {
+      if (!isAbortError(err)) this.setStatus(`Could not load the rows of that cell: ${err.message}`, "danger");
+      return;
+    }
+    const where = entries.map(([c, v]) => `${c} = ${chartLabel(v)}`).join(" • ") || "All rows";
+
+    const wrap = document.createElement("div");
+    wrap.className = "import-preview";
+    const table = document.createElement("table");
+    const thead = document.createElement("thead");
+    const htr = document.createElement("tr");
+    for (const c of this.columns) {
+      const th = document.createElement("th");
+      th.textContent = c;
+      htr.appendChild(th);
+    }
+    thead.appendChild(htr);
+    table.appendChild(thead);
+    const tbody = document.createElement("tbody");
+    for (const r of rows.slice(0, DRILL_DISPLAY_LIMIT)) {
+      const tr = document.createElement("tr");
+      for (const c of this.columns) {
+        const td = document.createElement("td");
+        td.textContent = normalizeValue(r[c]);
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    wrap.appendChild(table);
+
+    const actions = [{ id: "close", label: "Close", variant: "secondary" }];
+    if (this.access.canExport) actions.push({ id: "export", label: "Export Rows", variant: "secondary" });
+    if (entries.length) actions.push({ id: "filter", label: "Add as Filters" });
+
+    const action = await openDialog({
+      title: where,
+      subtitle: rows.length > DRILL_DISPLAY_LIMIT
+        ? `${this.pivotMeasureLabel(cfg)}: ${formatAggregate(pivotValue(cell, cfg.agg), cfg.agg, "number")} • showing the first ${DRILL_DISPLAY_LIMIT} of ${rows.length} rows`
+        : `${this.pivotMeasureLabel(cfg)}: ${formatAggregate(pivotValue(cell, cfg.agg), cfg.agg, "number")} • ${rows.length} row(s)`,
+      body: wrap,
+      wide: true,
+      actions
+    });
+
+    if (action === "export") {
+      downloadFile(toCsv(this.columns, rows), "text/csv;charset=utf-8", `${this.reportId}_pivot_rows_${todayStamp()}.csv`);
+      this.audit("export", `Pivot cell rows as CSV (${rows.length} rows)`);
+    } else if (action === "filter") {
+      this.addDraftFilters(entries);
+    }
+  }
+
+  // Same lines as the pivot table (all of them), plus a header row
+  exportPivotCsv() {
+    if (!this.pivot || !this.access.canExport) return;
+    const { cfg, colKeys, lines } = this.pivot;
+    const headers = cfg.rowDims.length ? cfg.rowDims : ["Rows"];
+    const keys = cfg.colDims.length ? [...colKeys.map(c => c.key), PIVOT_TOTAL] : [PIVOT_TOTAL];
+    const colLabels = cfg.colDims.length
+      ? [...colKeys.map(c => c.values.map(chartLabel).join(" / ")), "Total"]
+      : [this.pivotMeasureLabel(cfg)];
+
+    const out = [[...headers, ...colLabels]];
+    for (const line of lines) {
+      const values = keys.map((k) => {
+        const cell = line.node.cells.get(k);
+        const v = cell ? pivotValue(cell, cfg.agg) : null;
+        return v === null ? "" : String(v);
+      });
+      out.push([...this.pivotLineLabels(line, headers.length), ...values]);
+    }
+    downloadFile(
+      out.map(r => r.map(escapeCsvValue).join(",")).join("\n"),
+      "text/csv;charset=utf-8",
+      `${this.reportId}_pivot_${todayStamp()}.csv`
+    );
+    this.audit("export", `Pivot table as CSV (${lines.length} lines)`);
+  }
+
+  // ---------- Column layout ----------
+  // Per report: { order, hidden, pinned, widths: { col: px }, aliases: { col: name } }, keyed by column name,
+  // so it carries over to later uploads; columns it does not know yet are shown after the others.
+  loadColumnLayout() {
+    const empty = { order: [], hidden: [], pinned: [], widths: {}, aliases: {} };
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.COLUMNS_KEY) || "null");
+      if (!saved || typeof saved !== "object") return empty;
+      return {
+        order: Array.isArray(saved.order) ? saved.order : [],
+        hidden: Array.isArray(saved.hidden) ? saved.hidden : [],
+        pinned: Array.isArray(saved.pinned) ? saved.pinned : [],
+        widths: saved.widths && typeof saved.widths === "object" ? saved.widths : {},
+        aliases: saved.aliases && typeof saved.aliases === "object" ? saved.aliases : {}
+      };
+    } catch {
+      return empty;
+    }
+  }
+
+  saveColumnLayout(layout) {
+    this.columnLayout = layout;
+    localStorage.setItem(this.COLUMNS_KEY, JSON.stringify(layout));
+  }
+
+  // Every column in display order (pinned first), hidden ones included
+  orderedColumns() {
+    const { order, pinned } = this.columnLayout;
+    const known = order.filter(c => this.columns.includes(c));
+    const all = [...known, ...this.columns.filter(c => !known.includes(c))];
+    return [...all.filter(c => pinned.includes(c)), ...all.filter(c => !pinned.includes(c))];
+  }
+
+  visibleColumns() {
+    const hidden = new Set(this.columnLayout.hidden);
+    return this.orderedColumns().filter(c => !hidden.has(c));
+  }
+
+  columnLabel(col) {
+    return this.columnLayout.aliases[col] || col;
+  }
+
+  // Width / sticky offset per visible column; pinned columns need a width to stack against each other
+  tableColumnStyles(columns) {
+    const { widths, pinned } = this.columnLayout;
+    const styles = new Map();
+    let left = 0;
+    for (const col of columns) {
+      const isPinned = pinned.includes(col);
+      const width = widths[col] || (isPinned ? PINNED_COLUMN_WIDTH : null);
+      styles.set(col, { width, left: isPinned ? left : null });
+      if (isPinned) left += width;
+    }
+    return styles;
+  }
+
+  styleTableCell(cell, style) {
+    if (style.width) {
+      cell.style.width = `${style.width}px`;
+      cell.style.minWidth = `${style.width}px`;
+      cell.style.maxWidth = `${style.width}px`;
+    }
+    if (style.left !== null) {
+      cell.classList.add("pinned");
+      cell.style.left = `${style.left}px`;
+    }
+  }
+
+  // Drag a header's right edge; the width is saved when the drag ends
+  startColumnResize(ev, col, th) {
+    ev.preventDefault();
+    ev.stopPropagation();
+    const startX = ev.clientX;
+    const startWidth = th.offsetWidth || this.columnLayout.widths[col] || PINNED_COLUMN_WIDTH;
+    let width = startWidth;
+
+    const onMove = (e) => {
+      width = Math.max(MIN_COLUMN_WIDTH, Math.round(startWidth + e.clientX - startX));
+      th.style.width = th.style.minWidth = th.style.maxWidth = `${width}px`;
+    };
+    const onUp = () => {
+      document.removeEventListener("mousemove", onMove);
+      document.removeEventListener("mouseup", onUp);
+      this.saveColumnLayout({ ...this.columnLayout, widths: { ...this.columnLayout.widths, [col]: width } });
+      this.buildTableHeader();
+      this.renderedRange = { start: -1, end: -1 };
+      this.renderVisibleRows();
+    };
+    document.addEventListener("mousemove", onMove);
+    document.addEventListener("mouseup", onUp);
+  }
+
+  // Show / hide, reorder (drag or ↑ ↓), pin and rename columns
+  async openColumnsDialog() {
+    const order = this.orderedColumns();
+    const hidden = new Set(this.columnLayout.hidden.filter(c => this.columns.includes(c)));
+    const pinned = new Set(this.columnLayout.pinned.filter(c => this.columns.includes(c)));
+    const aliases = { ...this.columnLayout.aliases };
+
+    const wrap = document.createElement("div");
+    const hint = document.createElement("div");
+    hint.className = "hint";
+    hint.textContent = "Drag rows to reorder. Pinned columns stay on the left while scrolling sideways. Drag a header's right edge in the table to resize it.";
+    const list = document.createElement("ul");
+    list.className = "column-list";
+    wrap.appendChild(hint);
+    wrap.appendChild(list);
+
+    let dragFrom = -1;
+    const move = (from, to) => {
+      if (to < 0 || to >= order.length || from === to) return;
+      const [col] = order.splice(from, 1);
+      order.splice(to, 0, col);
+      render();
+    };
+
+    const render = () => {
+      list.innerHTML = "";
+      order.forEach((col, i) => {
+        const li = document.createElement("li");
+        li.className = "column-item";
+        li.draggable = true;
+        li.addEventListener("dragstart", (ev) => {
+          dragFrom = i;
+          ev.dataTransfer?.setData("text/plain", col);
+          li.classList.add("dragging");
+        });
+        li.addEventListener("dragend", () => li.classList.remove("dragging"));
+        li.addEventListener("dragover", (ev) => { ev.preventDefault(); li.classList.add("drag-over"); });
+        li.addEventListener("dragleave", () => li.classList.remove("drag-over"));
+        li.addEventListener("drop", (ev) => {
+          ev.preventDefault();
+          if (dragFrom >= 0) move(dragFrom, i);
+          dragFrom = -1;
+        });
+
+        const handle = document.createElement("span");
+        handle.className = "drag-handle";
+        handle.textContent = "⠿";
+        handle.setAttribute("aria-hidden", "true");
+
+        const show = document.createElement("input");
+        show.type = "checkbox";
+        show.checked = !hidden.has(col);
+        show.title = "Show this column";
+        show.addEventListener("change", () => {
+          if (show.checked) hidden.delete(col);
+          else hidden.add(col);
+        });
+
+        const name = document.createElement("span");
+        name.className = "name";
+        name.textContent = col;
+        name.title = col;
+
+        const alias = document.createElement("input");
+        alias.className = "input";
+        alias.type = "text";
+        alias.placeholder = "Display name";
+        alias.value = aliases[col] || "";
+        alias.addEventListener("input", () => {
+          const v = alias.value.trim();
+          if (v) aliases[col] = v;
+          else delete aliases[col];
+        });
+
+        const pin = document.createElement("label");
+        pin.className = "toggle-row";
+        const pinBox = document.createElement("input");
+        pinBox.type = "checkbox";
+        pinBox.checked = pinned.has(col);
+        pinBox.addEventListener("change", () => {
+          if (pinBox.checked) pinned.add(col);
+          else pinned.delete(col);
+        });
+        pin.appendChild(pinBox);
+        pin.appendChild(document.createTextNode(" Pin"));
+
+        li.appendChild(handle);
+        li.appendChild(show);
+        li.appendChild(name);
+        li.appendChild(alias);
+        li.appendChild(pin);
+        for (const [text, title, to] of [["↑", "Move up", i - 1], ["↓", "Move down", i + 1]]) {
+          const btn = document.createElement("button");
+          btn.className = "small-btn";
+          btn.type = "button";
+          btn.textContent = text;
+          btn.title = title;
+          btn.disabled = to < 0 || to >= order.length;
+          btn.addEventListener("click", () => move(i, to));
+          li.appendChild(btn);
+        }
+        list.appendChild(li);
+      });
+    };
+    render();
+
+    const action = await openDialog({
+      title: "Columns",
+      subtitle: "Applies to the table, the filters panel and Export CSV for this report section.",
+      body: wrap,
+      wide: true,
+      actions: [
+        { id: "reset", label: "Reset Columns", variant: "secondary" },
+        { id: "cancel", label: "Cancel", variant: "secondary" },
+        { id: "save", label: "Save Columns" }
+      ]
+    });
+    if (action !== "save" && action !== "reset") return;
+
+    if (action === "save" && order.every(c => hidden.has(c))) {
+      this.setStatus("Keep at least one column visible.", "danger");
+      return;
+    }
+
+    if (action === "reset") {
+      localStorage.removeItem(this.COLUMNS_KEY);
+      this.columnLayout = this.loadColumnLayout();
+    } else {
+      this.saveColumnLayout({
+        // hidden / pinned / aliases of columns not in this upload are kept for later uploads
+        order: [...order, ...this.columnLayout.order.filter(c => !order.includes(c))],
+        hidden: [...hidden, ...this.columnLayout.hidden.filter(c => !this.columns.includes(c))],
+        pinned: [...pinned, ...this.columnLayout.pinned.filter(c => !this.columns.includes(c))],
+        widths: this.columnLayout.widths,
+        aliases
+      });
+    }
+
+    this.buildTableHeader();
+    this.renderedRange = { start: -1, end: -1 };
+    this.tableRows = this.groupedTableItems(this.filteredRows);
+    this.renderVisibleRows();
+    this.buildFiltersUI();
+    this.setStatus(action === "reset" ? "Columns reset to the file's order." : "Column layout saved.", "success");
+  }
+
+  // ---------- Table ----------
   buildTableHeader() {
     this.tableHead.innerHTML = "";
     const tr = document.createElement("tr");
+    this.tableColumns = this.visibleColumns();
+    this.tableColumnStyle = this.tableColumnStyles(this.tableColumns);
+
+    for (const col of this.tableColumns) {
+      const th = document.createElement("th");
+      th.textContent = this.columnLabel(col);
+      this.styleTableCell(th, this.tableColumnStyle.get(col));
+
+      // arrow, plus the sort level once more than one column is sorted
+      const sortSpan = document.createElement("span");
+      sortSpan.className = "sort";
+      const level = this.sortState.findIndex(k => k.col === col);
+      if (level >= 0) {
+        const arrow = this.sortState[level].dir === "asc" ? "▲" : "▼";
+        sortSpan.textContent = this.sortState.length > 1 ? `${arrow}${level + 1}` : arrow;
+      }
+      th.appendChild(sortSpan);
+      th.title = `${col === this.columnLabel(col) ? "" : `${col}. `}Click to sort; Shift+click to add a sort level`;
+
+      const resizer = document.createElement("span");
+      resizer.className = "col-resizer";
+      resizer.title = "Drag to resize";
+      resizer.addEventListener("mousedown", (ev) => this.startColumnResize(ev, col, th));
+      resizer.addEventListener("click", (ev) => ev.stopPropagation());
+      th.appendChild(resizer);
+
+      th.addEventListener("click", async (ev) => {
+        const previous = deepClone(this.sortState);
+        this.toggleSort(col, ev.shiftKey);
+        this.buildTableHeader();
+        const rollback = () => {
+          this.sortState = previous;
+          this.buildTableHeader();
+        };
+        if (!await this.applyAppliedFiltersAndRender({ rollback })) return;
+        const key = this.sortState.find(k => k.col === col);
+        const arrow = key?.dir === "asc" ? "▲" : "▼";
+        this.setStatus(key ? `Sorted by ${this.columnLabel(col)} ${arrow}.` : `Removed the sort on ${this.columnLabel(col)}.`, "muted");
+        this.recordStep(key ? `Sort by ${this.columnLabel(col)} ${arrow}` : `Unsort ${this.columnLabel(col)}`);
+      });
+
+      tr.appendChild(th);
+    }
+
+    this.tableHead.appendChild(tr);
+    this.buildGroupBar();
+  }
+
+  // Click: sort by this column only (again = reverse). Shift+click: add it as the next sort level,
+  // or cycle an existing level asc -> desc -> removed.
+  toggleSort(col, additive) {
+    const stack = this.sortState;
+    const i = stack.findIndex(k => k.col === col);
+
+    if (!additive) {
+      const only = stack.length === 1 && i === 0;
+      this.sortState = [{ col, dir: only && stack[0].dir === "asc" ? "desc" : "asc" }];
+    } else if (i < 0) {
+      this.sortState = [...stack, { col, dir: "asc" }];
+    } else if (stack[i].dir === "asc") {
+      this.sortState = stack.map((k, j) => (j === i ? { col, dir: "desc" } : k));
+    } else {
+      this.sortState = stack.filter((_, j) => j !== i);
+    }
+  }
+
+  // ---------- Table groups ----------
+  // Group columns are a view setting (saved per report); collapsed groups reset when they change
+  getGroupCols() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.GROUPS_KEY) || "[]");
+      return Array.isArray(saved) ? saved.filter(c => this.columns.includes(c)).slice(0, GROUP_MAX_DEPTH) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  setGroupCols(cols) {
+    localStorage.setItem(this.GROUPS_KEY, JSON.stringify(cols));
+    this.collapsedGroups.clear();
+    this.buildGroupBar();
+    this.renderTableBody(this.filteredRows, { keepScroll: true });
+  }
+
+  buildGroupBar() {
+    this.groupBar.innerHTML = "";
+    if (!this.columns.length) return;
+    const cols = this.getGroupCols();
+
+    const label = document.createElement("span");
+    label.className = "muted";
+    label.textContent = "Group rows by";
+    this.groupBar.appendChild(label);
+
+    const button = (text, title, onClick) => {
+      const btn = document.createElement("button");
+      btn.className = "small-btn";
+      btn.type = "button";
+      btn.textContent = text;
+      btn.title = title;
+      btn.addEventListener("click", onClick);
+      this.groupBar.appendChild(btn);
+      return btn;
+    };
+
+    cols.forEach((col, i) => {
+      const sel = document.createElement("select");
+      sel.className = "select";
+      for (const c of this.columns) {
+        if (c !== col && cols.includes(c)) continue;
+        const o = document.createElement("option");
+        o.value = c;
+        o.textContent = this.columnLabel(c);
+        sel.appendChild(o);
+      }
+      sel.value = col;
+      sel.addEventListener("change", () => this.setGroupCols(cols.map((c, j) => (j === i ? sel.value : c))));
+      this.groupBar.appendChild(sel);
+      button("✕", `Stop grouping by ${col}`, () => this.setGroupCols(cols.filter((_, j) => j !== i)));
+    });
+
+    const free = this.columns.find(c => !cols.includes(c));
+    if (cols.length < GROUP_MAX_DEPTH && free) {
+      button(cols.length ? "+ Then by" : "+ Add", "Group by another column", () => this.setGroupCols([...cols, free]));
+    }
+    if (cols.length) {
+      button("Expand All", "Show every group's rows", () => this.setAllGroupsCollapsed(false));
+      button("Collapse All", "Show only the top-level groups", () => this.setAllGroupsCollapsed(true));
+    }
+  }
+
+  // Group headers interleaved with the rows of expanded groups. Groups are ordered by their value
+  // (descending when the table is sorted by that column descending); rows keep the table sort.
+  groupedTableItems(rows) {
+    const cols = this.getGroupCols();
+    if (!cols.length) return rows;
+
+    const numericCols = this.columns.filter(c => this.columnTypes[c] === "number");
+    const root = buildRowGroups(rows, cols, numericCols);
+    const items = [];
+    const walk = (node) => {
+      const children = Array.from(node.children.values());
+      if (!children.length) {
+        for (const r of node.rows) items.push(r);
+        return;
+      }
+      const col = children[0].col;
+      const sign = this.sortState.some(k => k.col === col && k.dir === "desc") ? -1 : 1;
+      children.sort((a, b) => sign * comparePivotValues(a.value, b.value));
+      for (const child of children) {
+        items.push({ group: child });
+        if (!this.collapsedGroups.has(child.key)) walk(child);
+      }
+    };
+    walk(root);
+    return items;
+  }
+
+  toggleGroup(key) {
+    if (this.collapsedGroups.has(key)) this.collapsedGroups.delete(key);
+    else this.collapsedGroups.add(key);
+    this.renderTableBody(this.filteredRows, { keepScroll: true });
+  }
+
+  // Collapse all = every top-level group; expand all = nothing collapsed
+  setAllGroupsCollapsed(collapsed) {
+    this.collapsedGroups.clear();
+    if (collapsed) {
+      const [col] = this.getGroupCols();
+      for (const r of this.filteredRows) this.collapsedGroups.add(normalizeValue(r[col]));
+    }
+    this.renderTableBody(this.filteredRows, { keepScroll: true });
+  }
+
+  // Label (spanning the leading non-numeric columns), then the group's sum under each numeric column
+  buildGroupRow(g) {
+    const tr = document.createElement("tr");
+    tr.className = "group-row";
+    tr.tabIndex = 0;
+    const collapsed = this.collapsedGroups.has(g.key);
+    tr.setAttribute("aria-expanded", String(!collapsed));
+
+    const columns = this.tableColumns;
+    const firstNumeric = columns.findIndex(c => this.columnTypes[c] === "number");
+    const span = Math.max(1, firstNumeric < 0 ? columns.length : firstNumeric);
+
+    const label = document.createElement("td");
+    label.colSpan = span;
+    label.className = "group-label";
+    label.style.paddingLeft = `${10 + g.level * 18}px`;
+    if (this.tableColumnStyle.get(columns[0])?.left === 0) {
+      label.classList.add("pinned");
+      label.style.left = "0px";
+    }
+    const text = `${collapsed ? "▸" : "▾"} ${this.columnLabel(g.col)}: ${chartLabel(g.value)}`;
+    label.textContent = text;
+    const count = document.createElement("span");
+    count.className = "muted";
+    count.textContent = ` (${g.count} row${g.count === 1 ? "" : "s"})`;
+    label.appendChild(count);
+    label.title = `${text.slice(2)} • ${g.count} row(s)`;
+    tr.appendChild(label);
+
+    for (const c of columns.slice(span)) {
+      const td = document.createElement("td");
+      this.styleTableCell(td, this.tableColumnStyle.get(c));
+      const s = g.sums.get(c);
+      if (s) {
+        td.textContent = `Σ ${formatAggregate(s.sum, "sum", "number")}`;
+        td.title = `Sum of ${c}: ${s.sum} (${s.n} value(s))`;
+      }
+      tr.appendChild(td);
+    }
+
+    const toggle = () => this.toggleGroup(g.key);
+    tr.addEventListener("click", toggle);
+    tr.addEventListener("keydown", (ev) => {
+      if (ev.key === "Enter" || ev.key === " ") { ev.preventDefault(); toggle(); }
+    });
+    return tr;
+  }
+
+  // Only the rows inside the scroll viewport (plus TABLE_OVERSCAN) exist in the DOM;
+  // spacer rows above/below keep the scrollbar sized for the full result set.
+  // With group-by, group header rows take a row slot each (same fixed height).
+  // New results start at the top; grouping / collapse changes (keepScroll) stay where the user is
+  renderTableBody(rows, { keepScroll = false } = {}) {
+    this.tableRows = this.groupedTableItems(rows);
+    this.renderedRange = { start: -1, end: -1 };
+    if (!keepScroll) this.tableWrap.scrollTop = 0;
+    this.renderVisibleRows();
+    this.updateSelectionInfo();
+  }
+
+  scheduleVisibleRowsRender() {
+    if (this.scrollFrame !== null) return;
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null;
+      this.renderVisibleRows();
+    });
+  }
+
+  getVisibleRange() {
+    const total = this.tableRows.length;
+    // hidden sections report 0; fall back to the window so the first paint is not empty
+    const viewport = this.tableWrap.clientHeight || window.innerHeight;
+    const top = this.tableWrap.scrollTop;
+
+    const start = Math.max(0, Math.floor(top / TABLE_ROW_HEIGHT) - TABLE_OVERSCAN);
+    const end = Math.min(total, Math.ceil((top + viewport) / TABLE_ROW_HEIGHT) + TABLE_OVERSCAN);
+    return { start, end };
+  }
+
+  buildSpacerRow(height) {
+    const tr = document.createElement("tr");
+    tr.className = "spacer";
+    const td = document.createElement("td");
+    td.colSpan = Math.max(1, this.tableColumns.length);
+    td.style.height = `${height}px`;
+    tr.appendChild(td);
+    return tr;
+  }
+
+  buildTableRow(r) {
+    const tr = document.createElement("tr");
+    if (this.selectedRows.has(r)) tr.className = "selected";
+    tr.addEventListener("click", (ev) => this.toggleRowSelection(r, ev.shiftKey));
+    for (const c of this.tableColumns) {
+      const td = document.createElement("td");
+      this.styleTableCell(td, this.tableColumnStyle.get(c));
+      const text = normalizeValue(r[c]);
+      const terms = this.highlightTerms.filter(t => t.col === null || t.col === c);
+      if (terms.length && text) {
+        appendHighlighted(td, text, mergeRanges(terms.flatMap(t => textMatchRanges(text, t.value, t.fuzzy))));
+      } else {
+        td.textContent = text;
+      }
+      td.title = text;
+      tr.appendChild(td);
+    }
+    return tr;
+  }
+
+  // Positive "contains" / fuzzy terms of the applied search, highlighted in the table
+  searchHighlightTerms() {
+    const { terms } = parseSearchQuery(this.appliedState.global, this.columns, this.columnTypes, { fuzzy: !!this.appliedState.fuzzy });
+    return terms
+      .filter(t => !t.negate && (t.condition.op === "contains" || t.condition.op === "fuzzy"))
+      .map(t => ({ col: t.condition.col, value: t.condition.value, fuzzy: t.condition.op === "fuzzy" }));
+  }
+
+  renderVisibleRows() {
+    const { start, end } = this.getVisibleRange();
+    if (start === this.renderedRange.start && end === this.renderedRange.end) return;
+    this.renderedRange = { start, end };
+
+    const frag = document.createDocumentFragment();
+    if (start > 0) frag.appendChild(this.buildSpacerRow(start * TABLE_ROW_HEIGHT));
+    for (let i = start; i < end; i++) {
+      const item = this.tableRows[i];
+      frag.appendChild(item.group ? this.buildGroupRow(item.group) : this.buildTableRow(item));
+    }
+    const below = this.tableRows.length - end;
+    if (below > 0) frag.appendChild(this.buildSpacerRow(below * TABLE_ROW_HEIGHT));
+
+    this.tableBody.innerHTML = "";
+    this.tableBody.appendChild(frag);
+  }
+
+  // ---------- Apply ----------
+  // Resolves true once results are rendered; false if cancelled, failed or superseded
+  // rollback: puts back the state the caller changed when the query fails or is cancelled (the table then
+  // still matches it); without one the results are marked out of date
+  async applyAppliedFiltersAndRender({ rollback = null } = {}) {
+    if (!this.rawRows.length) return false;
+
+    const token = ++this.queryToken;
+    let result;
+    try {
+      const running = this.engine.query(this.appliedState, this.sortState, this.getSummaryRequests(), (phase, ratio) => {
+        if (token === this.queryToken) this.setProgress("Applying filters", ratio);
+      });
+      this.updateBusyState();
+      result = await running;
+    } catch (err) {
+      if (token !== this.queryToken) return false;
+      this.updateBusyState();
+      if (rollback) {
+        rollback();
+        this.updateApplyButtonState();
+        if (isAbortError(err)) this.setStatus("Cancelled. Nothing was changed.", "muted");
+        else this.setStatus(`Failed to apply filters: ${err.message} Nothing was changed.`, "danger");
+        return false;
+      }
+      this.resultsStale = true;
+      this.updateApplyButtonState();
+      if (isAbortError(err)) this.setStatus("Apply cancelled. Results are out of date; click Apply to refresh.", "muted");
+      else this.setStatus(`Failed to apply filters: ${err.message}`, "danger");
+      return false;
+    }
+    if (token !== this.queryToken) return false;
+
+    this.updateBusyState();
+    this.resultsStale = false;
+    this.facets = new Map(result.facets.map(f => [f.col, { size: f.size, distinct: f.distinct, counts: new Map(f.counts) }]));
+    this.summaries = new Map(result.summaries.map(x => [x.key, x]));
+    this.filteredRows = Array.from(result.ids, i => this.rawRows[i]);
+    this.resultQuery = { state: deepClone(this.appliedState), sort: deepClone(this.sortState) };
+    this.highlightTerms = this.searchHighlightTerms();
+    this.ensureStateSchemas();
+
+    this.rowCount.textContent = String(this.rawRows.length);
+    this.filteredCount.textContent = String(this.filteredRows.length);
+
+    this.renderDashboard();
+    this.renderCharts();
+    this.renderPivot();
+    this.renderTableBody(this.filteredRows);
+
+    this.buildFiltersUI();
+    this.updateApplyButtonState();
+    this.syncUrlState();
+    return true;
+  }
+
+  // ---------- Filters UI ----------
+  buildFilterHeader(col, f, wrap) {
+    const header = document.createElement("div");
+    header.className = "filter-header";
+
+    const titleWrap = document.createElement("div");
+    titleWrap.className = "filter-title";
+
+    const name = document.createElement("div");
+    name.className = "name";
+    name.textContent = this.columnLabel(col);
+    if (name.textContent !== col) name.title = col;
+
+    titleWrap.appendChild(name);
+
+    const right = document.createElement("div");
+    right.className = "filter-right";
+
+    // column type: inferred at import, overridable here
+    const typeSel = document.createElement("select");
+    typeSel.className = "type-select";
+    typeSel.title = "Column type";
+    for (const t of COLUMN_TYPES) {
+      const opt = document.createElement("option");
+      opt.value = t;
+      opt.textContent = t[0].toUpperCase() + t.slice(1);
+      typeSel.appendChild(opt);
+    }
+    typeSel.value = this.columnTypes[col] || "text";
+    typeSel.addEventListener("click", (ev) => ev.stopPropagation());
+    typeSel.addEventListener("change", () => this.setColumnType(col, typeSel.value));
 
-    for (const col of this.columns) {
-      const th = document.createElement("th");
-      th.textContent = col;
+    const pill = document.createElement("div");
+    pill.className = "pill";
+    if (isListOp(f.op)) {
+      const n = f.value.length;
+      pill.textContent = n ? `${n} ${f.op === "notIn" ? "excluded" : "selected"}` : "Multi-select";
+    } else {
+      pill.textContent = filterIsActive(f) ? "Pending" : FILTER_OPS[f.op].label;
+    }
+
+    right.appendChild(typeSel);
+    const chev = document.createElement("div");
+    chev.className = "chev";
+    chev.textContent = "▾";
+
+    right.appendChild(pill);
+    right.appendChild(chev);
+
+    header.appendChild(titleWrap);
+    header.appendChild(right);
+
+    header.addEventListener("click", () => {
+      f.collapsed = !f.collapsed;
+      wrap.classList.toggle("collapsed", f.collapsed);
+    });
+
+    return header;
+  }
+
+  buildFiltersUI() {
+    if (!this.rawRows.length) return;
+
+    const prevSearchText = new Map();
+    for (const node of this.filtersContainer.querySelectorAll("input[data-filter-search='1']")) {
+      const col = node.getAttribute("data-col");
+      prevSearchText.set(col, node.value || "");
+    }
+
+    this.filtersContainer.innerHTML = "";
+    this.ensureStateSchemas();
+    this.renderSearchFeedback();
+    this.buildRulesUI();
+
+    const hidden = new Set(this.columnLayout.hidden);
+    for (const col of this.orderedColumns()) {
+      const fDraft = this.draftState.columns[col];
+      const type = this.columnTypes[col] || "text";
+
+      const facet = this.getFacet(col);
+      const facetCounts = facet.counts;
+      const hasList = this.defaultFilterOp(col) === "in";
+
+      // an empty multi-select on a column without a short value list (or an op the column
+      // type does not offer) falls back to the column's default condition
+      if ((isListOp(fDraft.op) && !hasList && !filterIsActive(fDraft)) || !FILTER_OPS_BY_TYPE[type].includes(fDraft.op)) {
+        Object.assign(fDraft, emptyFilter(this.defaultFilterOp(col)));
+      }
+      // hidden columns keep their filter in the panel only while it is in use
+      if (hidden.has(col) && !filterIsActive(fDraft) && !filterIsActive(this.appliedState.columns[col])) continue;
+
+      const wrap = document.createElement("div");
+      wrap.className = "filter";
+      wrap.classList.toggle("collapsed", !!fDraft.collapsed);
+
+      wrap.appendChild(this.buildFilterHeader(col, fDraft, wrap));
+
+      const body = document.createElement("div");
+      body.className = "filter-body";
+
+      const opSel = document.createElement("select");
+      opSel.className = "select op-select";
+      for (const op of FILTER_OPS_BY_TYPE[type]) {
+        if (isListOp(op) && !hasList && fDraft.op !== op) continue;
+        const opt = document.createElement("option");
+        opt.value = op;
+        opt.textContent = FILTER_OPS[op].label;
+        opSel.appendChild(opt);
+      }
+      opSel.value = fDraft.op;
+      opSel.addEventListener("change", () => {
+        this.draftState.columns[col] = { ...emptyFilter(opSel.value), collapsed: false };
+        this.draftEdited();
+        this.buildFiltersUI();
+      });
+      body.appendChild(opSel);
+
+      // CONDITION FILTER
+      if (!isListOp(fDraft.op)) {
+        body.appendChild(this.buildConditionInputs(fDraft, type, { onClear: () => this.buildFiltersUI() }));
+        wrap.appendChild(body);
+        this.filtersContainer.appendChild(wrap);
+        continue;
+      }
+
+      // MULTI-SELECT
+      const selected = new Set(Array.isArray(fDraft.value) ? fDraft.value : []);
+      const optionSet = new Set(facetCounts.keys());
+      for (const v of selected) optionSet.add(v);
+
+      const options = Array.from(optionSet).sort((a,b) => {
+        const ca = facetCounts.get(a) || 0;
+        const cb = facetCounts.get(b) || 0;
+        if (cb !== ca) return cb - ca;
+        return a.localeCompare(b);
+      });
+
+      const search = document.createElement("input");
+      search.className = "input";
+      search.type = "text";
+      search.placeholder = "Search options…";
+      search.setAttribute("data-filter-search", "1");
+      search.setAttribute("data-col", col);
+      search.value = prevSearchText.get(col) || "";
+
+      // option search follows the fuzzy toggle; null = option hidden, otherwise the ranges to highlight
+      const fuzzy = !!this.draftState.fuzzy;
+      const optionRanges = (v) => {
+        const ft = normalizeValue(search.value);
+        if (!ft) return [];
+        if (fuzzy) return fuzzyMatch(ft, v);
+        return toLower(v).includes(toLower(ft)) ? textMatchRanges(v, ft) : null;
+      };
+
+      const actionsRow = document.createElement("div");
+      actionsRow.className = "facet-actions";
+
+      const btnAll = document.createElement("button");
+      btnAll.className = "small-btn";
+      btnAll.textContent = "Select All (visible)";
+      btnAll.type = "button";
+      btnAll.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        const visible = options.filter(v => optionRanges(v) !== null);
+        this.draftState.columns[col].value = visible;
+        this.draftEdited();
+        this.buildFiltersUI();
+      });
+
+      const btnNone = document.createElement("button");
+      btnNone.className = "small-btn";
+      btnNone.textContent = "Clear";
+      btnNone.type = "button";
+      btnNone.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        this.draftState.columns[col].value = [];
+        this.draftEdited();
+        this.buildFiltersUI();
+      });
+
+      actionsRow.appendChild(btnAll);
+      actionsRow.appendChild(btnNone);
+
+      const list = document.createElement("div");
+      list.className = "facet-list";
+
+      const renderOptionList = () => {
+        list.innerHTML = "";
+
+        const visible = [];
+        for (const v of options) {
+          const ranges = optionRanges(v);
+          if (ranges) visible.push([v, ranges]);
+        }
+        if (!visible.length) {
+          const empty = document.createElement("div");
+          empty.className = "muted";
+          empty.style.fontSize = "12px";
+          empty.textContent = "No matching options.";
+          list.appendChild(empty);
+          return;
+        }
+
+        for (const [v, ranges] of visible) {
+          const line = document.createElement("label");
+          line.className = "facet-item";
+
+          const cb = document.createElement("input");
+          cb.type = "checkbox";
+          cb.checked = selected.has(v);
+          cb.addEventListener("click", (ev) => ev.stopPropagation());
+
+          cb.addEventListener("change", () => {
+            if (cb.checked) selected.add(v);
+            else selected.delete(v);
+
+            this.draftState.columns[col].value = Array.from(selected);
+            this.draftEdited();
+
+            // rebuild (keeps behavior consistent with your current project)
+            this.buildFiltersUI();
+            // re-open this filter
+            this.draftState.columns[col].collapsed = false;
+          });
+
+          const textWrap = document.createElement("div");
+          textWrap.className = "facet-text";
+
+          const valueSpan = document.createElement("div");
+          valueSpan.className = "facet-value";
+          appendHighlighted(valueSpan, v, ranges);
+
+          const countSpan = document.createElement("div");
+          countSpan.className = "facet-count";
+          countSpan.textContent = String(facetCounts.get(v) || 0);
+
+          textWrap.appendChild(valueSpan);
+          textWrap.appendChild(countSpan);
+
+          line.appendChild(cb);
+          line.appendChild(textWrap);
+          list.appendChild(line);
+        }
+      };
+
+      search.addEventListener("click", (ev) => ev.stopPropagation());
+      search.addEventListener("input", renderOptionList);
+      renderOptionList();
+
+      body.appendChild(search);
+      body.appendChild(actionsRow);
+      body.appendChild(list);
+
+      wrap.appendChild(body);
+      this.filtersContainer.appendChild(wrap);
+    }
+  }
+
+  // ---------- Search syntax ----------
+  // Chips (Filters panel) and syntax errors (under the search box) for the DRAFT search text
+  renderSearchFeedback() {
+    const text = this.draftState.global;
+    const parsed = parseSearchQuery(text, this.columns, this.columnTypes, { fuzzy: !!this.draftState.fuzzy });
+
+    // errors: the term is searched as typed until fixed; hints: a column-like prefix that is just text
+    this.searchErrors.innerHTML = "";
+    for (const e of parsed.errors) {
+      const line = document.createElement("div");
+      line.textContent = `${text.slice(e.start, e.end)} — ${e.message} Searched as typed for now.`;
+      this.searchErrors.appendChild(line);
+    }
+    for (const h of parsed.hints) {
+      const line = document.createElement("div");
+      line.className = "search-hint";
+      line.textContent = `${text.slice(h.start, h.end)} — ${h.message}`;
+      this.searchErrors.appendChild(line);
+    }
+    this.searchErrors.hidden = !parsed.errors.length && !parsed.hints.length;
+    this.globalSearch.classList.toggle("invalid", parsed.errors.length > 0);
+
+    this.searchChips.innerHTML = "";
+    for (const t of parsed.terms) {
+      const chip = document.createElement("span");
+      chip.className = "chip";
+      chip.title = `From the search box: ${text.slice(t.start, t.end)}`;
+
+      const label = document.createElement("span");
+      label.textContent = `${t.negate ? "NOT " : ""}${describeCondition(t.condition.col, t.condition)}`;
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.textContent = "✕";
+      remove.title = "Remove from search";
+      remove.addEventListener("click", () => this.removeSearchTerm(t.start, t.end));
+
+      chip.appendChild(label);
+      chip.appendChild(remove);
+      this.searchChips.appendChild(chip);
+    }
+    this.searchChips.hidden = !parsed.terms.length;
+  }
+
+  removeSearchTerm(start, end) {
+    const text = this.draftState.global;
+    const before = text.slice(0, start).trimEnd();
+    const after = text.slice(end).trimStart();
+    this.draftState.global = before && after ? `${before} ${after}` : before + after;
+    this.globalSearch.value = this.draftState.global;
+    this.renderSearchFeedback();
+    this.draftEdited();
+  }
+
+  // ---------- Rules (AND / OR groups) ----------
+  buildRulesUI() {
+    const root = this.draftState.rules;
+    this.rulesContainer.innerHTML = "";
+
+    const wrap = document.createElement("div");
+    wrap.className = "filter rules";
+    wrap.classList.toggle("collapsed", !this.rulesOpen);
+
+    const header = document.createElement("div");
+    header.className = "filter-header";
+
+    const title = document.createElement("div");
+    title.className = "filter-title";
+    const name = document.createElement("div");
+    name.className = "name";
+    name.textContent = "Rules (AND / OR)";
+    title.appendChild(name);
+
+    const right = document.createElement("div");
+    right.className = "filter-right";
+    this.rulesPill = document.createElement("div");
+    this.rulesPill.className = "pill";
+    this.updateRulesPill();
+    const chev = document.createElement("div");
+    chev.className = "chev";
+    chev.textContent = "▾";
+    right.appendChild(this.rulesPill);
+    right.appendChild(chev);
+
+    header.appendChild(title);
+    header.appendChild(right);
+    header.addEventListener("click", () => {
+      this.rulesOpen = !this.rulesOpen;
+      wrap.classList.toggle("collapsed", !this.rulesOpen);
+    });
+
+    const body = document.createElement("div");
+    body.className = "filter-body";
+    body.appendChild(this.buildRuleGroup(root, null, 0));
+
+    const hint = document.createElement("div");
+    hint.className = "hint";
+    hint.textContent = "Rules combine with the column filters below. Conditions can compare two columns of the same row.";
+    body.appendChild(hint);
+
+    wrap.appendChild(header);
+    wrap.appendChild(body);
+    this.rulesContainer.appendChild(wrap);
+  }
+
+  updateRulesPill() {
+    const n = countRuleConditions(this.draftState.rules);
+    this.rulesPill.textContent = n ? `${n} condition${n === 1 ? "" : "s"}` : "None";
+  }
+
+  // Structural edits re-render the rules; value edits only refresh the count and Apply state
+  ruleChanged(rebuild = true) {
+    this.draftEdited();
+    if (rebuild) this.buildRulesUI();
+    else this.updateRulesPill();
+  }
+
+  buildRuleGroup(group, parent, depth) {
+    const box = document.createElement("div");
+    box.className = "rule-group";
+
+    const head = document.createElement("div");
+    head.className = "row";
+
+    const notLabel = document.createElement("label");
+    notLabel.className = "rule-not";
+    const notBox = document.createElement("input");
+    notBox.type = "checkbox";
+    notBox.checked = !!group.negate;
+    notBox.addEventListener("change", () => {
+      group.negate = notBox.checked;
+      this.ruleChanged(false);
+    });
+    notLabel.appendChild(notBox);
+    notLabel.appendChild(document.createTextNode("Not"));
+
+    const logic = document.createElement("select");
+    logic.className = "select";
+    for (const [v, text] of [["and", "All of (AND)"], ["or", "Any of (OR)"]]) {
+      const opt = document.createElement("option");
+      opt.value = v;
+      opt.textContent = text;
+      logic.appendChild(opt);
+    }
+    logic.value = group.logic === "or" ? "or" : "and";
+    logic.addEventListener("change", () => {
+      group.logic = logic.value;
+      this.ruleChanged(false);
+    });
+
+    head.appendChild(notLabel);
+    head.appendChild(logic);
+    if (parent) head.appendChild(this.ruleRemoveButton(parent, group));
+    box.appendChild(head);
+
+    const items = document.createElement("div");
+    items.className = "rule-items";
+    for (const item of group.items) {
+      items.appendChild(isRuleGroup(item) ? this.buildRuleGroup(item, group, depth + 1) : this.buildRuleCondition(item, group));
+    }
+    if (!group.items.length) {
+      const empty = document.createElement("div");
+      empty.className = "hint";
+      empty.textContent = "No conditions yet.";
+      items.appendChild(empty);
+    }
+    box.appendChild(items);
+
+    const actions = document.createElement("div");
+    actions.className = "facet-actions";
+
+    const addCond = document.createElement("button");
+    addCond.className = "small-btn";
+    addCond.type = "button";
+    addCond.textContent = "+ Condition";
+    addCond.addEventListener("click", () => {
+      const col = this.columns[0];
+      group.items.push({ col, ...emptyFilter(this.defaultFilterOp(col)) });
+      this.ruleChanged();
+    });
+    actions.appendChild(addCond);
+
+    if (depth < RULE_MAX_DEPTH) {
+      const addGroup = document.createElement("button");
+      addGroup.className = "small-btn";
+      addGroup.type = "button";
+      addGroup.textContent = "+ Group";
+      addGroup.addEventListener("click", () => {
+        group.items.push({ ...emptyRuleGroup(), logic: group.logic === "or" ? "and" : "or" });
+        this.ruleChanged();
+      });
+      actions.appendChild(addGroup);
+    }
+    box.appendChild(actions);
+
+    return box;
+  }
+
+  ruleRemoveButton(parent, node) {
+    const btn = document.createElement("button");
+    btn.className = "small-btn";
+    btn.type = "button";
+    btn.textContent = "✕";
+    btn.title = "Remove";
+    btn.addEventListener("click", () => {
+      parent.items = parent.items.filter(x => x !== node);
+      this.ruleChanged();
+    });
+    return btn;
+  }
+
+  buildRuleCondition(cond, group) {
+    const box = document.createElement("div");
+    box.className = "rule-condition";
+
+    const head = document.createElement("div");
+    head.className = "row";
+
+    const known = this.columns.includes(cond.col);
+    const type = this.columnTypes[cond.col] || "text";
+
+    const colSel = document.createElement("select");
+    colSel.className = "select";
+    for (const c of known ? this.columns : [cond.col, ...this.columns]) {
+      const opt = document.createElement("option");
+      opt.value = c;
+      opt.textContent = c === cond.col && !known ? `${c} (not in this data)` : c;
+      colSel.appendChild(opt);
+    }
+    colSel.value = cond.col;
+    colSel.addEventListener("change", () => {
+      cond.col = colSel.value;
+      const ops = FILTER_OPS_BY_TYPE[this.columnTypes[cond.col] || "text"];
+      if (isListOp(cond.op) || !(ops.includes(cond.op) || COLUMN_COMPARE_OPS.includes(cond.op))) {
+        Object.assign(cond, emptyFilter(this.defaultFilterOp(cond.col)));
+      }
+      this.ruleChanged();
+    });
+
+    const opSel = document.createElement("select");
+    opSel.className = "select";
+    for (const op of [...FILTER_OPS_BY_TYPE[type], ...COLUMN_COMPARE_OPS]) {
+      const opt = document.createElement("option");
+      opt.value = op;
+      opt.textContent = FILTER_OPS[op].label;
+      opSel.appendChild(opt);
+    }
+    opSel.value = cond.op;
+    opSel.addEventListener("change", () => {
+      Object.assign(cond, emptyFilter(opSel.value));
+      this.ruleChanged();
+    });
+
+    head.appendChild(colSel);
+    head.appendChild(this.ruleRemoveButton(group, cond));
+    box.appendChild(head);
+    box.appendChild(opSel);
+
+    const { arity } = FILTER_OPS[cond.op];
+    if (arity === "list") box.appendChild(this.buildRuleValueList(cond));
+    else if (arity === "column") box.appendChild(this.buildRuleColumnPicker(cond));
+    else box.appendChild(this.buildConditionInputs(cond, type, { onEdit: () => this.ruleChanged(false) }));
+
+    return box;
+  }
+
+  // Other column of a cross-column comparison
+  buildRuleColumnPicker(cond) {
+    const sel = document.createElement("select");
+    sel.className = "select";
+
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = "— Column —";
+    sel.appendChild(placeholder);
+
+    for (const c of this.columns) {
+      if (c === cond.col) continue;
+      const opt = document.createElement("option");
+      opt.value = c;
+      opt.textContent = c;
+      sel.appendChild(opt);
+    }
+    sel.value = this.columns.includes(cond.value) ? cond.value : "";
+    sel.addEventListener("change", () => {
+      cond.value = sel.value;
+      this.ruleChanged(false);
+    });
+    return sel;
+  }
+
+  // Distinct values as a multi-select; columns with too many values take a comma-separated list
+  buildRuleValueList(cond) {
+    const values = this.distinctValues(cond.col);
+
+    if (values.length > RULE_LIST_MAX) {
+      const inp = document.createElement("input");
+      inp.className = "input";
+      inp.type = "text";
+      inp.placeholder = "Values, separated by commas";
+      inp.value = cond.value.join(", ");
+      inp.addEventListener("input", () => {
+        cond.value = inp.value.split(",").map(v => v.trim()).filter(Boolean);
+        this.ruleChanged(false);
+      });
+      return inp;
+    }
+
+    const sel = document.createElement("select");
+    sel.className = "select rule-values";
+    sel.multiple = true;
+    sel.size = Math.min(6, Math.max(2, values.length));
+    const selected = new Set(cond.value);
+    for (const v of values) {
+      const opt = document.createElement("option");
+      opt.value = v;
+      opt.textContent = v;
+      opt.selected = selected.has(v);
+      sel.appendChild(opt);
+    }
+    sel.addEventListener("change", () => {
+      cond.value = Array.from(sel.selectedOptions, o => o.value);
+      this.ruleChanged(false);
+    });
+    return sel;
+  }
 
-      const sortSpan = document.createElement("span");
-      sortSpan.className = "sort";
-      if (this.sortState.col === col) sortSpan.textContent = this.sortState.dir === "asc" ? "▲" : "▼";
-      else sortSpan.textContent = "";
-      th.appendChild(sortSpan);
+  distinctValues(col) {
+    if (!this.valueLists.has(col)) {
+      const set = new Set();
+      for (const r of this.rawRows) {
+        const v = normalizeValue(r[col]);
+        if (v) set.add(v);
+      }
+      this.valueLists.set(col, Array.from(set).sort((a, b) => compareSortValues(a, b)));
+    }
+    return this.valueLists.get(col);
+  }
 
-      th.addEventListener("click", () => {
-        if (this.sortState.col === col) this.sortState.dir = (this.sortState.dir === "asc") ? "desc" : "asc";
-        else { this.sortState.col = col; this.sortState.dir = "asc"; }
+  // Inputs for a non-list filter: one or two values (typed as the column), or none for blank checks.
+  // Edits write straight into `f` (a draft filter or rule condition) and then call `onEdit`;
+  // `onClear` adds a Clear button.
+  buildConditionInputs(f, type, { onEdit = () => this.draftEdited(), onClear = null } = {}) {
+    const box = document.createElement("div");
+    const row = document.createElement("div");
+    row.className = "row";
+    box.appendChild(row);
+
+    const { arity } = FILTER_OPS[f.op];
+    const dateInput = type === "date" && f.op !== "last";
+    const inputType = dateInput ? "date" : (type === "number" || f.op === "last") && f.op !== "regex" ? "number" : "text";
+
+    const makeInput = (key, placeholder) => {
+      const inp = document.createElement("input");
+      inp.className = "input";
+      inp.type = inputType;
+      inp.placeholder = placeholder;
+      inp.value = f[key];
+      inp.addEventListener("input", () => {
+        f[key] = inp.value;
+        validate();
+        onEdit();
+      });
+      row.appendChild(inp);
+      return inp;
+    };
+
+    const error = document.createElement("div");
+    error.className = "hint filter-error";
+    error.hidden = true;
+
+    let main = null;
+    let second = null;
+    const validate = () => {
+      if (f.op === "between" && main) {
+        // bounds set by presets or links can hold text the engine cannot compare (Apply rejects them)
+        const parse = type === "date" ? parseDateValue : parseNumberValue;
+        const bad = [[main, f.value], [second, f.value2]].filter(([inp, v]) => {
+          const text = normalizeValue(v);
+          const wrong = !!text && parse(text) === null;
+          inp.classList.toggle("invalid", wrong);
+          return wrong;
+        });
+        const message = bad.map(([, v]) => `"${normalizeValue(v)}" is not ${type === "date" ? "a valid date" : "a number"}.`).join(" ");
+        error.textContent = message;
+        error.hidden = !message;
+        return;
+      }
+      if (f.op !== "regex" || !main) return;
+      let message = "";
+      try {
+        new RegExp(main.value, "i");
+      } catch (err) {
+        message = err.message;
+      }
+      main.classList.toggle("invalid", !!message);
+      error.textContent = message;
+      error.hidden = !message;
+    };
+
+    if (arity === 0) {
+      const note = document.createElement("div");
+      note.className = "hint";
+      note.textContent = f.op === "blank" ? "Rows where this column is empty." : "Rows where this column has a value.";
+      row.appendChild(note);
+    } else if (f.op === "between") {
+      main = makeInput("value", dateInput ? "From" : "Min");
+      second = makeInput("value2", dateInput ? "To" : "Max");
+    } else if (f.op === "last") {
+      main = makeInput("value", "Count");
+      main.min = "1";
+      const unit = document.createElement("select");
+      unit.className = "select";
+      for (const u of RELATIVE_UNITS) {
+        const opt = document.createElement("option");
+        opt.value = u;
+        opt.textContent = u;
+        unit.appendChild(opt);
+      }
+      unit.value = f.value2;
+      unit.addEventListener("change", () => {
+        f.value2 = unit.value;
+        onEdit();
+      });
+      row.appendChild(unit);
+    } else {
+      main = makeInput("value", f.op === "regex" ? "Regular expression…" : `${FILTER_OPS[f.op].label}…`);
+    }
 
-        this.applyAppliedFiltersAndRender();
-        this.buildTableHeader();
+    if (arity !== 0 && onClear) {
+      const clearBtn = document.createElement("button");
+      clearBtn.className = "small-btn";
+      clearBtn.textContent = "Clear";
+      clearBtn.type = "button";
+      clearBtn.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        Object.assign(f, emptyFilter(f.op));
+        this.draftEdited();
+        onClear();
       });
+      row.appendChild(clearBtn);
+    }
 
-      tr.appendChild(th);
+    validate();
+    box.appendChild(error);
+    return box;
+  }
+
+  // Type override from a filter header: re-types the engine column, keeps the choice with the saved
+  // dataset, and leaves results stale until the next Apply (sorting and typed filters depend on it)
+  async setColumnType(col, type) {
+    const previous = this.columnTypes;
+    this.columnTypes = { ...this.columnTypes, [col]: type };
+
+    try {
+      await this.engine.setTypes({ [col]: type });
+    } catch (err) {
+      this.columnTypes = previous;
+      this.buildFiltersUI();
+      const was = previous[col] || "text";
+      if (isAbortError(err)) this.setStatus(`Cancelled. ${col} is still treated as ${was}.`, "muted");
+      else this.setStatus(`Could not change the type of ${col}: ${err.message} It is still treated as ${was}.`, "danger");
+      return;
     }
 
-    this.tableHead.appendChild(tr);
+    try {
+      const record = await DATASETS.get(this.reportId);
+      if (record) await DATASETS.put({ ...record, types: this.columnTypes });
+    } catch {
+      // the override still applies for this session
+    }
+
+    this.draftState.columns[col].collapsed = false;
+    this.resultsStale = true;
+    this.buildFiltersUI();
+    this.updateApplyButtonState();
+    this.setStatus(`${col} is now treated as ${type}. Click Apply to refresh results.`, "muted");
   }
 
-  renderTableBody(rows) {
-    this.tableBody.innerHTML = "";
+  // ---------- Export ----------
+  reportTitle() {
+    return document.querySelector(`.tab[data-tab="${this.reportId}"]`)?.textContent || this.reportId;
+  }
 
-    const RENDER_LIMIT = 2000;
-    const displayRows = rows.slice(0, RENDER_LIMIT);
+  // Plain-language [label, text] lines for a view (default: the APPLIED one), for export filter sheets,
+  // printable reports and preset revisions
+  appliedFilterLines(view = this.currentPresetPayload()) {
+    const { global, fuzzy, rules } = view;
+    const columns = view.columns || {};
+    const sort = normalizeSortState(view.sort);
+    const lines = [];
+    if (normalizeValue(global)) lines.push(["Search", `${global}${fuzzy ? " (fuzzy matching)" : ""}`]);
+    const cols = [...this.orderedColumns(), ...Object.keys(columns).filter(c => !this.columns.includes(c))];
+    for (const col of cols) {
+      const f = columns[col];
+      if (filterIsActive(f)) lines.push(["Filter", describeCondition(this.columnLabel(col), f)]);
+    }
+    const ruleText = isRuleGroup(rules) ? describeRuleGroup(rules) : "";
+    if (ruleText) lines.push(["Rules", ruleText]);
+    if (!lines.length) lines.push(["Filters", "None (all rows)"]);
+    if (sort.length) {
+      lines.push(["Sort", sort.map(k => `${this.columnLabel(k.col)} ${k.dir === "asc" ? "ascending" : "descending"}`).join(", then ")]);
+    }
+    return lines;
+  }
 
-    for (const r of displayRows) {
-      const tr = document.createElement("tr");
-      for (const c of this.columns) {
-        const td = document.createElement("td");
-        td.textContent = normalizeValue(r[c]);
-        tr.appendChild(td);
+  // Rows in the current order for a scope: "filtered" | "selected" | "all" (every uploaded row, file order)
+  exportScopeRows(scope) {
+    if (scope === "all") return this.rawRows;
+    if (scope === "selected") return this.filteredRows.filter(r => this.selectedRows.has(r));
+    return this.filteredRows;
+  }
+
+  async openExportDialog() {
+    if (!this.rawRows.length || !this.access.canExport) return;
+    const selectedCount = this.exportScopeRows("selected").length;
+
+    const wrap = document.createElement("div");
+    wrap.className = "import-settings";
+    const field = (label, options, value) => {
+      const f = document.createElement("label");
+      f.className = "import-field";
+      const l = document.createElement("span");
+      l.className = "muted";
+      l.textContent = label;
+      const sel = document.createElement("select");
+      sel.className = "select";
+      for (const [v, text, disabled] of options) {
+        const o = document.createElement("option");
+        o.value = v;
+        o.textContent = text;
+        o.disabled = !!disabled;
+        sel.appendChild(o);
       }
-      this.tableBody.appendChild(tr);
+      sel.value = value;
+      f.appendChild(l);
+      f.appendChild(sel);
+      wrap.appendChild(f);
+      return sel;
+    };
+
+    const format = field("Format", EXPORT_FORMATS.map(f => [f.id, f.label]), "csv");
+    const rows = field("Rows", [
+      ["filtered", `Filtered rows (${this.filteredRows.length})`],
+      ["selected", `Selected rows only (${selectedCount})`, !selectedCount],
+      ["all", `Full raw dataset (${this.rawRows.length})`]
+    ], "filtered");
+    const cols = field("Columns", [
+      ["visible", `Visible columns (${this.visibleColumns().length})`],
+      ["all", `All columns (${this.columns.length})`]
+    ], "visible");
+
+    const action = await openDialog({
+      title: "Export",
+      subtitle: "XLSX adds a Filters sheet. PDF opens the report in a new window for printing (choose “Save as PDF”).",
+      body: wrap,
+      wide: true,
+      actions: [
+        { id: "cancel", label: "Cancel", variant: "secondary" },
+        { id: "export", label: "Export" }
+      ]
+    });
+    if (action !== "export") return;
+    this.exportData({ format: format.value, scope: rows.value, columnScope: cols.value });
+  }
+
+  // Visible scope: display order and display names; all columns: file order and file names
+  exportData({ format, scope, columnScope }) {
+    const rows = this.exportScopeRows(scope);
+    if (!rows.length) {
+      this.setStatus("Nothing to export.", "danger");
+      return;
     }
+    const formatLabel = EXPORT_FORMATS.find(f => f.id === format).label;
+    const columns = columnScope === "all" ? this.columns : this.visibleColumns();
+    const headers = columnScope === "all" ? columns : columns.map(c => this.columnLabel(c));
+    const fileBase = `${this.reportId}_${scope === "all" ? "full" : scope}_export_${todayStamp()}`;
+    const scopeLabel = { filtered: "Filtered rows", selected: "Selected rows", all: "Full raw dataset" }[scope];
+    // number columns are written as numbers (JSON / XLSX) so they sum and sort downstream
+    const numeric = columns.map(c => this.columnTypes[c] === "number");
+    const typedRow = (r) => columns.map((c, i) => {
+      const v = normalizeValue(r[c]);
+      const n = numeric[i] ? parseNumberValue(v) : null;
+      return n === null ? v : n;
+    });
 
-    if (rows.length > RENDER_LIMIT) {
-      this.setStatus(`Showing first ${RENDER_LIMIT} of ${rows.length} filtered rows (export includes all).`, "muted");
+    if (format === "csv") {
+      downloadFile(toCsv(columns, rows, headers), "text/csv;charset=utf-8", `${fileBase}.csv`);
+    } else if (format === "json") {
+      const records = rows.map(r => Object.fromEntries(typedRow(r).map((v, i) => [headers[i], v])));
+      downloadFile(JSON.stringify(records, null, 2), "application/json", `${fileBase}.json`);
+    } else if (format === "xlsx") {
+      if (typeof XLSX === "undefined") {
+        this.setStatus("Excel export is unavailable: the spreadsheet library did not load.", "danger");
+        return;
+      }
+      const data = [headers, ...rows.map(typedRow)];
+      const info = [
+        ["Report", this.reportTitle()],
+        ["File", this.fileName.textContent],
+        ["Exported", new Date().toLocaleString()],
+        ["Rows", `${scopeLabel} (${rows.length})`],
+        ...this.appliedFilterLines()
+      ];
+      const wb = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(data), "Data");
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([["Item", "Value"], ...info]), "Filters");
+      downloadFile(
+        XLSX.write(wb, { bookType: "xlsx", type: "array" }),
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        `${fileBase}.xlsx`
+      );
     } else {
-      this.setStatus("Ready. Edit filters, then click Apply.", "muted");
+      const { kpis, breakdowns } = this.dashboardCards();
+      const html = buildReportHtml({
+        title: this.reportTitle(),
+        subtitle: "Summary cards reflect the applied filters.",
+        meta: [["Generated", new Date().toLocaleString()], ["File", this.fileName.textContent], ["Rows", `${scopeLabel} (${rows.length})`]],
+        filters: this.appliedFilterLines(),
+        kpis,
+        breakdowns,
+        table: { columns: headers, rows: rows.slice(0, REPORT_ROW_LIMIT).map(r => columns.map(c => normalizeValue(r[c]))), total: rows.length }
+      });
+      if (format === "html") downloadFile(html, "text/html;charset=utf-8", `${fileBase}.html`);
+      else if (!this.printHtml(html)) {
+        downloadFile(html, "text/html;charset=utf-8", `${fileBase}.html`);
+        this.audit("export", `${rows.length} ${scope} row(s) as HTML (pop-ups blocked)`);
+        this.setStatus("Pop-ups are blocked, so the report was downloaded as HTML instead. Open it and print to PDF.", "muted");
+        return;
+      }
     }
+    this.audit("export", `${rows.length} ${scope} row(s) as ${formatLabel}`);
+    this.setStatus(`Exported ${rows.length} row(s) as ${formatLabel}.`, "success");
   }
 
-  // ---------- Apply ----------
-  applyAppliedFiltersAndRender() {
-    if (!this.rawRows.length) return;
+  // Opens the document in a new window and starts printing; false when pop-ups are blocked
+  printHtml(html) {
+    const w = window.open("", "_blank");
+    if (!w) return false;
+    w.document.open();
+    w.document.write(html);
+    w.document.close();
+    w.focus();
+    w.print();
+    return true;
+  }
+
+  // ---------- Summary report ----------
+  async openReportDialog() {
+    if (!this.rawRows.length || !this.access.canExport) return;
+    const wrap = document.createElement("div");
+    wrap.className = "import-settings";
+
+    const titleField = document.createElement("label");
+    titleField.className = "import-field";
+    const titleLabel = document.createElement("span");
+    titleLabel.className = "muted";
+    titleLabel.textContent = "Title";
+    const title = document.createElement("input");
+    title.className = "input";
+    title.value = `${this.reportTitle()} summary`;
+    titleField.appendChild(titleLabel);
+    titleField.appendChild(title);
+    wrap.appendChild(titleField);
+
+    const toggle = (text, checked) => {
+      const row = document.createElement("label");
+      row.className = "toggle-row";
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = checked;
+      row.appendChild(cb);
+      row.appendChild(document.createTextNode(` ${text}`));
+      wrap.appendChild(row);
+      return cb;
+    };
+    const charts = toggle("Include charts", true);
+    const table = toggle("Include a table of the filtered rows", false);
+
+    const limitField = document.createElement("label");
+    limitField.className = "import-field";
+    const limitLabel = document.createElement("span");
+    limitLabel.className = "muted";
+    limitLabel.textContent = `Table row limit (max ${REPORT_ROW_LIMIT})`;
+    const limit = document.createElement("input");
+    limit.className = "input";
+    limit.type = "number";
+    limit.min = "1";
+    limit.max = String(REPORT_ROW_LIMIT);
+    limit.value = "100";
+    limit.disabled = true;
+    table.addEventListener("change", () => { limit.disabled = !table.checked; });
+    limitField.appendChild(limitLabel);
+    limitField.appendChild(limit);
+    wrap.appendChild(limitField);
+
+    const action = await openDialog({
+      title: "Generate Report",
+      subtitle: "A self-contained summary of the applied filters, KPI cards, breakdowns and charts. Print it (choose “Save as PDF”) or download it as HTML.",
+      body: wrap,
+      actions: [
+        { id: "cancel", label: "Cancel", variant: "secondary" },
+        { id: "download", label: "Download HTML", variant: "secondary" },
+        { id: "print", label: "Print / Save PDF" }
+      ]
+    });
+    if (action !== "download" && action !== "print") return;
 
-    const matched = this.rawRows.filter(r => this.rowMatchesApplied(r, null));
-    this.filteredRows = this.sortRows(matched);
+    const rowLimit = Math.min(REPORT_ROW_LIMIT, Math.max(1, Math.floor(Number(limit.value)) || 100));
+    const html = this.buildSummaryReport({
+      title: title.value.trim() || this.reportTitle(),
+      charts: charts.checked,
+      rowLimit: table.checked ? rowLimit : 0
+    });
+    const name = `${this.reportId}_report_${todayStamp()}.html`;
+    if (action === "download") {
+      downloadFile(html, "text/html;charset=utf-8", name);
+      this.audit("export", "Summary report as HTML");
+      this.setStatus("Report downloaded.", "success");
+    } else if (!this.printHtml(html)) {
+      downloadFile(html, "text/html;charset=utf-8", name);
+      this.audit("export", "Summary report as HTML (pop-ups blocked)");
+      this.setStatus("Pop-ups are blocked, so the report was downloaded as HTML instead. Open it and print to PDF.", "muted");
+    } else {
+      this.audit("export", "Summary report (print)");
+    }
+  }
 
-    this.rowCount.textContent = String(this.rawRows.length);
-    this.filteredCount.textContent = String(this.filteredRows.length);
+  // Report of the APPLIED results; rowLimit 0 leaves the table out
+  buildSummaryReport({ title, charts, rowLimit }) {
+    const { kpis, breakdowns } = this.dashboardCards();
+    const columns = this.visibleColumns();
+    return buildReportHtml({
+      title,
+      subtitle: this.reportTitle(),
+      meta: [
+        ["Generated", new Date().toLocaleString()],
+        ["File", this.fileName.textContent],
+        ["Rows", `${this.filteredRows.length} of ${this.rawRows.length} match`]
+      ],
+      filters: this.appliedFilterLines(),
+      kpis,
+      breakdowns,
+      extra: charts ? this.chartReportHtml() : "",
+      table: rowLimit
+        ? {
+            columns: columns.map(c => this.columnLabel(c)),
+            rows: this.filteredRows.slice(0, rowLimit).map(r => columns.map(c => normalizeValue(r[c]))),
+            total: this.filteredRows.length
+          }
+        : null
+    });
+  }
 
-    this.renderDashboard();
-    this.renderTableBody(this.filteredRows);
+  // The rendered chart cards as static markup: pickers become part of the title, click targets are dropped
+  chartReportHtml() {
+    const cards = [...this.chartGrid.querySelectorAll(".chart-card")].map(card => {
+      const copy = card.cloneNode(true);
+      const head = copy.querySelector(".chart-head");
+      const picks = [...card.querySelectorAll(".chart-pickers select")].map(s => s.selectedOptions[0]?.textContent || s.value);
+      const label = [head.querySelector(".title").textContent, ...picks].join(" · ");
+      head.remove();
+      for (const el of copy.querySelectorAll(".pickable")) {
+        el.removeAttribute("tabindex");
+        el.removeAttribute("role");
+      }
+      return `<div class="bd chart"><div class="title">${escapeHtml(label)}</div>${copy.innerHTML}</div>`;
+    });
+    return cards.length ? `<h2>Charts</h2><div class="charts">${cards.join("")}</div>` : "";
+  }
+
+  // ---------- Row selection ----------
+  // Click a row to select it, Shift+click to select the range from the last clicked row
+  toggleRowSelection(r, shiftKey) {
+    const index = this.tableRows.indexOf(r);
+    if (shiftKey && this.selectionAnchor !== null) {
+      const anchor = this.tableRows.indexOf(this.selectionAnchor);
+      if (anchor >= 0) {
+        const [from, to] = anchor < index ? [anchor, index] : [index, anchor];
+        for (let i = from; i <= to; i++) {
+          if (!this.tableRows[i].group) this.selectedRows.add(this.tableRows[i]);
+        }
+      }
+    } else if (this.selectedRows.has(r)) {
+      this.selectedRows.delete(r);
+    } else {
+      this.selectedRows.add(r);
+    }
+    this.selectionAnchor = r;
+    this.renderedRange = { start: -1, end: -1 };
+    this.renderVisibleRows();
+    this.updateSelectionInfo();
+  }
+
+  clearSelection() {
+    this.selectedRows.clear();
+    this.selectionAnchor = null;
+    this.renderedRange = { start: -1, end: -1 };
+    this.renderVisibleRows();
+    this.updateSelectionInfo();
+  }
+
+  // Selected rows hidden by the current filters stay selected but are not counted or exported
+  updateSelectionInfo() {
+    const n = this.selectedRows.size ? this.exportScopeRows("selected").length : 0;
+    this.selectionInfo.hidden = !n;
+    this.selectionCount.textContent = `${n} row${n === 1 ? "" : "s"} selected`;
+  }
+
+  // ---------- Presets ----------
+  readPresets() {
+    try {
+      const raw = localStorage.getItem(this.PRESETS_KEY);
+      return raw ? JSON.parse(raw) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  writePresets(presets) {
+    localStorage.setItem(this.PRESETS_KEY, JSON.stringify(presets));
+  }
+
+  refreshPresetSelect() {
+    const presets = this.readPresets();
+    const defaultId = this.getDefaultPresetId();
+    this.presetSelect.innerHTML = `<option value="">— Select a preset —</option>`;
+    for (const p of presets) {
+      const opt = document.createElement("option");
+      opt.value = p.id;
+      opt.textContent = p.id === defaultId ? `${p.name} (default)` : p.name;
+      this.presetSelect.appendChild(opt);
+    }
+    this.updatePresetButtons();
+  }
+
+  currentPresetPayload() {
+    const { global, fuzzy, columns, rules } = this.appliedState;
+    return { global, fuzzy, columns, rules, sort: this.sortState };
+  }
+
+  // Payloads from links and stored presets are sanitized first, so a malformed one cannot leave a half-applied state
+  async applyPresetPayload(payload) {
+    const { view } = sanitizeView(payload);
+    this.appliedState.global = view.global;
+    this.appliedState.fuzzy = view.fuzzy;
+    this.appliedState.columns = view.columns;
+    this.appliedState.rules = view.rules;
+    this.sortState = view.sort;
+
+    this.draftState = deepClone(this.appliedState);
+    for (const c of Object.keys(this.draftState.columns || {})) this.draftState.columns[c].collapsed = true;
+
+    this.globalSearch.value = this.draftState.global;
+    this.fuzzyToggle.checked = this.draftState.fuzzy;
 
     this.buildFiltersUI();
+    this.buildTableHeader();
+    const ok = await this.applyAppliedFiltersAndRender();
     this.updateApplyButtonState();
+    return ok;
   }
 
-  // ---------- Filters UI ----------
-  buildFilterHeader(col, f, wrap) {
-    const header = document.createElement("div");
-    header.className = "filter-header";
+  // ---------- Preset revisions / default ----------
+  getDefaultPresetId() {
+    return localStorage.getItem(this.DEFAULT_PRESET_KEY) || "";
+  }
 
-    const titleWrap = document.createElement("div");
-    titleWrap.className = "filter-title";
+  setDefaultPresetId(id) {
+    if (id) localStorage.setItem(this.DEFAULT_PRESET_KEY, id);
+    else localStorage.removeItem(this.DEFAULT_PRESET_KEY);
+  }
 
-    const name = document.createElement("div");
-    name.className = "name";
-    name.textContent = col;
+  selectedPreset() {
+    const id = this.presetSelect.value;
+    return id ? this.readPresets().find(p => p.id === id) || null : null;
+  }
 
-    titleWrap.appendChild(name);
+  updatePresetButtons() {
+    const p = this.selectedPreset();
+    const isDefault = !!p && p.id === this.getDefaultPresetId();
+    this.btnDefaultPreset.textContent = isDefault ? "Unset Default" : "Set Default";
+    this.btnPresetHistory.textContent = `History${p?.revisions?.length ? ` (${p.revisions.length})` : ""}`;
+  }
 
-    const right = document.createElement("div");
-    right.className = "filter-right";
+  // Replaces the selected preset's view with the applied one; the old view becomes a revision
+  updateSelectedPreset() {
+    const presets = this.readPresets();
+    const p = presets.find(x => x.id === this.presetSelect.value);
+    if (!p) {
+      this.setStatus("Select a preset to update.", "danger");
+      return;
+    }
+    const payload = this.currentPresetPayload();
+    if (JSON.stringify(payload) === JSON.stringify(p.payload)) {
+      this.setStatus(`“${p.name}” already matches the applied filters.`, "muted");
+      return;
+    }
+    if (!confirm(`Update preset "${p.name}" with the applied filters and sort? The previous version is kept in its history.`)) return;
 
-    const pill = document.createElement("div");
-    pill.className = "pill";
-    if (f.type === "multi") {
-      const n = (Array.isArray(f.value) ? f.value : []).length;
-      pill.textContent = n ? `${n} selected` : "Multi-select";
-    } else {
-      pill.textContent = normalizeValue(f.value) ? "Pending" : "Contains";
+    this.pushPresetRevision(p);
+    p.payload = payload;
+    this.writePresets(presets);
+    this.refreshPresetSelect();
+    this.presetSelect.value = p.id;
+    this.updatePresetButtons();
+    this.setStatus(`Updated preset: ${p.name} (History → Undo Last Update reverts it).`, "success");
+  }
+
+  pushPresetRevision(p) {
+    p.revisions = [{ payload: p.payload, savedAt: p.updatedAt || p.createdAt }, ...(p.revisions || [])].slice(0, PRESET_REVISION_LIMIT);
+    p.updatedAt = new Date().toISOString();
+  }
+
+  // Undo drops the newest revision back into place; restoring an older one keeps the current view as a revision
+  async openPresetHistory() {
+    const presets = this.readPresets();
+    const p = presets.find(x => x.id === this.presetSelect.value);
+    if (!p) {
+      this.setStatus("Select a preset to see its history.", "danger");
+      return;
     }
+    const revisions = p.revisions || [];
+    const describe = (payload) => this.appliedFilterLines(payload).map(([k, v]) => `${k}: ${v}`).join(" · ");
+
+    const list = document.createElement("ul");
+    list.className = "preset-history";
+    const entry = (title, text, value) => {
+      const li = document.createElement("li");
+      const head = document.createElement("label");
+      head.className = "toggle-row";
+      if (value !== null) {
+        const radio = document.createElement("input");
+        radio.type = "radio";
+        radio.name = "presetRevision";
+        radio.value = String(value);
+        radio.checked = value === 0;
+        head.appendChild(radio);
+      }
+      const strong = document.createElement("strong");
+      strong.textContent = ` ${title}`;
+      head.appendChild(strong);
+      const desc = document.createElement("div");
+      desc.className = "muted";
+      desc.textContent = text;
+      li.appendChild(head);
+      li.appendChild(desc);
+      list.appendChild(li);
+    };
+    entry(`Current (saved ${formatDateTime(p.updatedAt || p.createdAt)})`, describe(p.payload), null);
+    revisions.forEach((r, i) => entry(`Saved ${formatDateTime(r.savedAt)}`, describe(r.payload), i));
+
+    const action = await openDialog({
+      title: `History: ${p.name}`,
+      subtitle: revisions.length
+        ? `${revisions.length} earlier version(s); the newest ${PRESET_REVISION_LIMIT} are kept.`
+        : "No earlier versions. Update the preset to start its history.",
+      body: list,
+      wide: true,
+      actions: revisions.length
+        ? [
+            { id: "close", label: "Close", variant: "secondary" },
+            { id: "restore", label: "Restore Selected", variant: "secondary" },
+            { id: "undo", label: "Undo Last Update" }
+          ]
+        : [{ id: "close", label: "Close", variant: "secondary" }]
+    });
+    if (action !== "undo" && action !== "restore") return;
 
-    const chev = document.createElement("div");
-    chev.className = "chev";
-    chev.textContent = "▾";
+    if (action === "undo") {
+      const [last, ...rest] = revisions;
+      p.payload = last.payload;
+      p.revisions = rest;
+      p.updatedAt = last.savedAt;
+    } else {
+      const index = Number(list.querySelector('input[name="presetRevision"]:checked')?.value || 0);
+      const chosen = revisions[index];
+      this.pushPresetRevision(p);
+      p.payload = chosen.payload;
+    }
+    this.writePresets(presets);
+    this.refreshPresetSelect();
+    this.presetSelect.value = p.id;
+    this.updatePresetButtons();
+    this.setStatus(`${action === "undo" ? "Reverted" : "Restored"} preset: ${p.name}. Click Load to apply it.`, "success");
+  }
 
-    right.appendChild(pill);
-    right.appendChild(chev);
+  toggleDefaultPreset() {
+    const p = this.selectedPreset();
+    if (!p) {
+      this.setStatus("Select a preset to make it the default.", "danger");
+      return;
+    }
+    const unset = p.id === this.getDefaultPresetId();
+    this.setDefaultPresetId(unset ? "" : p.id);
+    this.refreshPresetSelect();
+    this.presetSelect.value = p.id;
+    this.updatePresetButtons();
+    this.setStatus(unset ? "No default preset for this section." : `“${p.name}” is applied automatically after each upload.`, "muted");
+  }
 
-    header.appendChild(titleWrap);
-    header.appendChild(right);
+  // A view from the link wins over the default preset; either is applied once data is loaded
+  async applyStartupView() {
+    const view = this.pendingUrlView;
+    this.pendingUrlView = null;
+    if (view) {
+      if (await this.applyPresetPayload(view)) {
+        this.setStatus("Applied the filters from the link.", "muted");
+        this.recordStep("Open link");
+      }
+      return;
+    }
+    const p = this.readPresets().find(x => x.id === this.getDefaultPresetId());
+    if (p && await this.applyPresetPayload(p.payload)) {
+      this.presetSelect.value = p.id;
+      this.updatePresetButtons();
+      this.setStatus(`Loaded default preset: ${p.name}`, "muted");
+      this.recordStep(`Load preset: ${p.name}`);
+    }
+  }
 
-    header.addEventListener("click", () => {
-      f.collapsed = !f.collapsed;
-      wrap.classList.toggle("collapsed", f.collapsed);
-    });
+  // ---------- URL state ----------
+  // Applied view without inactive filters or UI-only flags, so links stay short
+  urlView() {
+    const { global, fuzzy, columns, rules } = compactFilterState(this.appliedState);
+    const view = {};
+    if (global) view.global = global;
+    if (fuzzy) view.fuzzy = true;
+    if (Object.keys(columns).length) view.columns = columns;
+    if (rules.items.length) view.rules = rules;
+    if (this.sortState.length) view.sort = this.sortState;
+    return Object.keys(view).length ? view : null;
+  }
 
-    return header;
+  isActiveSection() {
+    return this.root.classList.contains("is-active");
   }
 
-  buildFiltersUI() {
-    if (!this.rawRows.length) return;
+  syncUrlState() {
+    if (this.isActiveSection()) writeUrlState(this.reportId, this.rawRows.length ? this.urlView() : this.pendingUrlView);
+  }
 
-    const prevSearchText = new Map();
-    for (const node of this.filtersContainer.querySelectorAll("input[data-filter-search='1']")) {
-      const col = node.getAttribute("data-col");
-      prevSearchText.set(col, node.value || "");
+  // From a link opened (or pasted) while the app is running
+  async applyUrlView(view) {
+    if (!this.rawRows.length) {
+      this.pendingUrlView = view;
+      return;
     }
+    if (await this.applyPresetPayload(view || {})) {
+      this.setStatus("Applied the filters from the link.", "muted");
+      this.recordStep("Open link");
+    }
+  }
 
-    this.filtersContainer.innerHTML = "";
-    this.ensureStateSchemas();
+  // ---------- Preset sharing ----------
+  newPresetId() {
+    return crypto?.randomUUID ? crypto.randomUUID() : `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+  }
 
-    for (const col of this.columns) {
-      const fDraft = this.draftState.columns[col];
+  async exportPresets() {
+    const presets = this.readPresets();
+    if (!presets.length) {
+      this.setStatus("There are no presets to export.", "danger");
+      return;
+    }
 
-      const facetCounts = this.getFacetCountsForColumn(col);
-      if (!isForcedMulti(col)) {
-        const shouldBeMulti = this.isLowCardinalityByCounts(facetCounts);
-        if (shouldBeMulti && fDraft.type !== "multi") { fDraft.type = "multi"; fDraft.value = []; }
-        if (!shouldBeMulti && fDraft.type !== "text") { fDraft.type = "text"; fDraft.value = ""; }
-      } else if (fDraft.type !== "multi") {
-        fDraft.type = "multi";
-        fDraft.value = [];
-      }
+    let chosen = presets;
+    const selected = presets.find(p => p.id === this.presetSelect.value);
+    if (selected && presets.length > 1) {
+      const action = await openDialog({
+        title: "Export Presets",
+        subtitle: "Saves presets to a JSON file that teammates can import into this report section.",
+        actions: [
+          { id: "cancel", label: "Cancel", variant: "secondary" },
+          { id: "one", label: `Only “${selected.name}”`, variant: "secondary" },
+          { id: "all", label: `All ${presets.length} presets` }
+        ]
+      });
+      if (action !== "one" && action !== "all") return;
+      if (action === "one") chosen = [selected];
+    }
 
-      const wrap = document.createElement("div");
-      wrap.className = "filter";
-      wrap.classList.toggle("collapsed", !!fDraft.collapsed);
+    const file = {
+      format: PRESET_FILE_FORMAT,
+      version: PRESET_FILE_VERSION,
+      reportId: this.reportId,
+      exportedAt: new Date().toISOString(),
+      presets: chosen.map(({ id, name, payload, createdAt }) => ({ id, name, payload, createdAt }))
+    };
+    const slug = chosen.length === 1 ? toLower(chosen[0].name).replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "preset" : "presets";
+    downloadFile(JSON.stringify(file, null, 2), "application/json", `${this.reportId}_${slug}_${todayStamp()}.json`);
+    this.audit("export", `${chosen.length} preset(s)`);
+    this.setStatus(`Exported ${chosen.length} preset(s).`, "muted");
+  }
 
-      wrap.appendChild(this.buildFilterHeader(col, fDraft, wrap));
+  // Preview with name conflicts and missing-column warnings, then merge into this section's presets
+  async importPresetsFile(file) {
+    let parsed;
+    try {
+      parsed = readPresetFile(JSON.parse(await file.text()));
+    } catch (err) {
+      const reason = err instanceof SyntaxError ? "it is not valid JSON" : err.message;
+      this.setStatus(`Could not import presets from ${file.name}: ${reason}.`, "danger");
+      return;
+    }
 
-      const body = document.createElement("div");
-      body.className = "filter-body";
+    const existing = this.readPresets();
+    const existingNames = new Set(existing.map(p => toLower(p.name)));
+    const conflicts = parsed.presets.filter(p => existingNames.has(toLower(p.name))).length;
+
+    const body = document.createElement("div");
+    const notes = [];
+    if (parsed.reportId && parsed.reportId !== this.reportId) notes.push(`These presets were exported from another report section (${parsed.reportId}).`);
+    if (parsed.invalid) {
+      notes.push(parsed.invalid === 1
+        ? "1 entry (a preset, filter, rule or sort key) is malformed and will be ignored."
+        : `${parsed.invalid} entries (presets, filters, rules or sort keys) are malformed and will be ignored.`);
+    }
+    if (!this.columns.length) notes.push("Load a data file first to check the presets against its columns.");
+    for (const text of notes) {
+      const note = document.createElement("div");
+      note.className = "hint";
+      note.textContent = text;
+      body.appendChild(note);
+    }
 
-      // TEXT FILTER
-      if (fDraft.type === "text") {
-        const row = document.createElement("div");
-        row.className = "row";
+    const list = document.createElement("ul");
+    list.className = "preset-import-list";
+    for (const p of parsed.presets) {
+      const li = document.createElement("li");
+      const name = document.createElement("strong");
+      name.textContent = p.name;
+      const state = document.createElement("span");
+      const conflict = existingNames.has(toLower(p.name));
+      state.className = conflict ? "pill conflict" : "pill";
+      state.textContent = conflict ? "Name exists" : "New";
+      li.appendChild(name);
+      li.appendChild(state);
+      for (const warning of this.presetWarnings(p.payload)) {
+        const w = document.createElement("div");
+        w.className = "preset-warning";
+        w.textContent = warning;
+        li.appendChild(w);
+      }
+      list.appendChild(li);
+    }
+    body.appendChild(list);
+
+    let mode = null;
+    if (conflicts) {
+      const field = document.createElement("label");
+      field.className = "import-field";
+      const label = document.createElement("span");
+      label.className = "muted";
+      label.textContent = `${conflicts} preset name(s) already exist. For those:`;
+      mode = document.createElement("select");
+      mode.className = "select";
+      const modes = [["skip", "Skip them (keep mine)"], ["overwrite", "Overwrite mine"], ["both", "Keep both (rename the imported copy)"]]
+        .filter(([v]) => v !== "overwrite" || this.access.canDeletePresets);
+      for (const [v, text] of modes) {
+        const o = document.createElement("option");
+        o.value = v;
+        o.textContent = text;
+        mode.appendChild(o);
+      }
+      field.appendChild(label);
+      field.appendChild(mode);
+      body.appendChild(field);
+    }
 
-        const inp = document.createElement("input");
-        inp.className = "input";
-        inp.type = "text";
-        inp.placeholder = "Contains…";
-        inp.value = fDraft.value || "";
+    const action = await openDialog({
+      title: "Import Presets",
+      subtitle: `${parsed.presets.length} preset(s) in ${file.name}`,
+      body,
+      actions: [
+        { id: "cancel", label: "Cancel", variant: "secondary" },
+        { id: "import", label: "Import" }
+      ]
+    });
+    if (action !== "import") return;
 
-        inp.addEventListener("input", () => {
-          this.draftState.columns[col].value = inp.value;
-          this.updateApplyButtonState();
-        });
+    const { added, replaced, skipped } = this.mergePresets(parsed.presets, mode ? mode.value : "skip");
+    this.refreshPresetSelect();
+    const parts = [`${added} added`];
+    if (replaced) parts.push(`${replaced} overwritten`);
+    if (skipped) parts.push(`${skipped} skipped`);
+    this.setStatus(`Imported presets: ${parts.join(", ")}.`, "success");
+  }
 
-        row.appendChild(inp);
-
-        const clearBtn = document.createElement("button");
-        clearBtn.className = "small-btn";
-        clearBtn.textContent = "Clear";
-        clearBtn.type = "button";
-        clearBtn.addEventListener("click", (ev) => {
-          ev.stopPropagation();
-          this.draftState.columns[col].value = "";
-          this.updateApplyButtonState();
-          this.buildFiltersUI();
+  // Imported presets get fresh ids; name conflicts (case-insensitive) follow `mode`: skip | overwrite | both
+  mergePresets(incoming, mode) {
+    if (mode === "overwrite" && !this.access.canDeletePresets) mode = "skip";
+    const presets = this.readPresets();
+    const fresh = [];
+    let replaced = 0;
+    let skipped = 0;
+    for (const p of incoming) {
+      const name = normalizeValue(p.name);
+      const taken = new Set([...fresh, ...presets].map(x => toLower(x.name)));
+      const match = presets.find(x => toLower(x.name) === toLower(name)) || fresh.find(x => toLower(x.name) === toLower(name));
+      if (match && mode === "skip") {
+        skipped++;
+      } else if (match && mode === "overwrite") {
+        match.payload = deepClone(p.payload);
+        match.updatedAt = new Date().toISOString();
+        replaced++;
+      } else {
+        fresh.push({
+          id: this.newPresetId(),
+          name: match ? uniquePresetName(name, taken) : name,
+          payload: deepClone(p.payload),
+          createdAt: p.createdAt || new Date().toISOString()
         });
+      }
+    }
+    this.writePresets([...fresh, ...presets]);
+    return { added: fresh.length, replaced, skipped };
+  }
 
-        row.appendChild(clearBtn);
+  // Plain-language problems with a preset against the loaded data (empty when nothing is loaded)
+  presetWarnings(payload) {
+    if (!this.columns.length) return [];
+    const warnings = [];
+    const missing = presetColumns(payload).filter(c => !this.columns.includes(c));
+    if (missing.length) warnings.push(`Not in the loaded file (ignored when applied): ${missing.join(", ")}`);
+    if (normalizeValue(payload?.global)) {
+      const { errors } = parseSearchQuery(payload.global, this.columns, this.columnTypes, { fuzzy: !!payload.fuzzy });
+      for (const e of errors) warnings.push(`Search: ${e.message}`);
+    }
+    return warnings;
+  }
 
-        body.appendChild(row);
-        wrap.appendChild(body);
-        this.filtersContainer.appendChild(wrap);
-        continue;
-      }
+  // ---------- Import ----------
+  // Last wizard choices for this report: { delimiter, encoding, skipLines, types: { col: type } }
+  readImportSettings() {
+    try {
+      const raw = localStorage.getItem(this.IMPORT_KEY);
+      return raw ? JSON.parse(raw) : {};
+    } catch {
+      return {};
+    }
+  }
 
-      // MULTI-SELECT
-      const selected = new Set(Array.isArray(fDraft.value) ? fDraft.value : []);
-      const optionSet = new Set(facetCounts.keys());
-      for (const v of selected) optionSet.add(v);
+  writeImportSettings(settings) {
+    localStorage.setItem(this.IMPORT_KEY, JSON.stringify(settings));
+  }
 
-      const options = Array.from(optionSet).sort((a,b) => {
-        const ca = facetCounts.get(a) || 0;
-        const cb = facetCounts.get(b) || 0;
-        if (cb !== ca) return cb - ca;
-        return a.localeCompare(b);
+  // Runs one engine import step with progress in statusMsg; null (status already set) on cancel/failure
+  async runImportStep(importer, start) {
+    try {
+      const running = start((phase, ratio) => {
+        this.setProgress(phase === "index" ? "Indexing columns" : `Reading ${importer.label}`, ratio);
       });
+      this.updateBusyState();
+      return await running;
+    } catch (err) {
+      if (isAbortError(err)) this.setStatus("Import cancelled.", "muted");
+      else this.setStatus(`Failed to read ${importer.label} file: ${err?.message || "confirm it is valid and has a header row"}.`, "danger");
+      return null;
+    } finally {
+      this.updateBusyState();
+    }
+  }
+
+  // The importer is picked from the file extension/MIME type (see IMPORTERS in engine.js).
+  // Flow: (sheet picker) -> import wizard preview -> full parse in the worker -> render.
+  async importFile(file) {
+    const importer = detectImporter(file);
+    const saved = this.readImportSettings();
+    let options = {
+      delimiter: saved.delimiter || "",
+      encoding: saved.encoding || "utf-8",
+      skipLines: saved.skipLines || 0,
+      types: saved.types || {}
+    };
+
+    this.setStatus(`Reading ${importer.label}…`, "muted");
+    let preview = await this.runImportStep(importer, (onProgress) => this.engine.preview(file, options, onProgress));
+    if (!preview) return;
+
+    if (preview.sheets) {
+      this.setStatus("Choose a sheet to load…", "muted");
+      const sheet = await this.pickSheet(file, preview.sheets);
+      if (!sheet) {
+        this.setStatus("Import cancelled.", "muted");
+        return;
+      }
+      options = { ...options, sheet };
+      preview = await this.runImportStep(importer, (onProgress) => this.engine.preview(file, options, onProgress));
+      if (!preview) return;
+    }
 
-      const search = document.createElement("input");
-      search.className = "input";
-      search.type = "text";
-      search.placeholder = "Search options…";
-      search.setAttribute("data-filter-search", "1");
-      search.setAttribute("data-col", col);
-      search.value = prevSearchText.get(col) || "";
+    this.setStatus("Review the import preview…", "muted");
+    options = await this.openImportWizard(file, importer, options, preview);
+    if (!options) {
+      this.setStatus("Import cancelled.", "muted");
+      return;
+    }
+    this.writeImportSettings({
+      delimiter: options.delimiter,
+      encoding: options.encoding,
+      skipLines: options.skipLines,
+      types: { ...saved.types, ...options.types }
+    });
 
-      const actionsRow = document.createElement("div");
-      actionsRow.className = "facet-actions";
+    const parsed = await this.runImportStep(importer, (onProgress) => this.engine.parse(file, options, onProgress));
+    if (!parsed) return;
+
+    const record = {
+      reportId: this.reportId,
+      fileName: options.sheet ? `${file.name} (${options.sheet})` : file.name,
+      columns: parsed.columns,
+      rows: parsed.rows,
+      types: parsed.types,
+      issues: parsed.issues,
+      issueCount: parsed.issueCount,
+      uploadedAt: new Date().toISOString()
+    };
+    this.showDatasetInfo(record);
+
+    const loaded = parsed.issueCount
+      ? `${importer.label} loaded with ${parsed.issueCount} issue(s).`
+      : `${importer.label} loaded.`;
+    if (!await this.loadParsedDataset(parsed, loaded)) return;
+    this.audit("upload", `${record.fileName} (${parsed.rows.length} rows)`);
 
-      const btnAll = document.createElement("button");
-      btnAll.className = "small-btn";
-      btnAll.textContent = "Select All (visible)";
-      btnAll.type = "button";
-      btnAll.addEventListener("click", (ev) => {
-        ev.stopPropagation();
-        const ft = toLower(search.value);
-        const visible = options.filter(v => (!ft || toLower(v).includes(ft)));
-        this.draftState.columns[col].value = visible;
-        this.updateApplyButtonState();
-        this.buildFiltersUI();
-      });
+    try {
+      await DATASETS.put(record);
+      await DATASETS.addSnapshot(record);
+    } catch (err) {
+      this.setStatus(`${loaded} It could not be saved for the next visit (${err?.message || "storage unavailable"}).`, "muted");
+    }
+  }
 
-      const btnNone = document.createElement("button");
-      btnNone.className = "small-btn";
-      btnNone.textContent = "Clear";
-      btnNone.type = "button";
-      btnNone.addEventListener("click", (ev) => {
-        ev.stopPropagation();
-        this.draftState.columns[col].value = [];
-        this.updateApplyButtonState();
-        this.buildFiltersUI();
+  showDatasetInfo(record) {
+    this.fileName.textContent = record?.fileName || "—";
+    this.uploadedAt.textContent = record ? formatDateTime(record.uploadedAt) : "—";
+    this.setImportIssues(record?.issues, record?.issueCount);
+  }
+
+  // ---------- Saved dataset (IndexedDB) ----------
+  async restoreSavedDataset() {
+    let saved;
+    try {
+      saved = await DATASETS.get(this.reportId);
+    } catch {
+      return; // storage unavailable: behave as before (upload required)
+    }
+    if (!saved || this.rawRows.length || this.engine.busy) return;
+
+    this.setStatus("Restoring saved data…", "muted");
+    try {
+      const running = this.engine.load(saved.columns, saved.rows, saved.types, (phase, ratio) => {
+        this.setProgress("Restoring saved data", ratio);
       });
+      this.updateBusyState();
+      await running;
+    } catch (err) {
+      if (isAbortError(err)) this.setStatus("Restore cancelled. Upload a file to begin.", "muted");
+      else this.setStatus(`Could not restore saved data: ${err.message}`, "danger");
+      return;
+    } finally {
+      this.updateBusyState();
+    }
 
-      actionsRow.appendChild(btnAll);
-      actionsRow.appendChild(btnNone);
+    this.showDatasetInfo(saved);
+    await this.loadParsedDataset(saved, `Restored ${saved.fileName} (uploaded ${formatDateTime(saved.uploadedAt)}).`);
+  }
 
-      const list = document.createElement("div");
-      list.className = "facet-list";
+  async forgetSavedDataset() {
+    const ok = confirm(`Forget the data loaded in this section${this.fileName.textContent !== "—" ? ` (${this.fileName.textContent})` : ""} and its upload history? Presets are kept.`);
+    if (!ok) return;
 
-      const renderOptionList = () => {
-        const ft = toLower(search.value);
-        list.innerHTML = "";
+    if (this.engine.busy) this.engine.cancel();
+    try {
+      await DATASETS.delete(this.reportId);
+      await DATASETS.clearSnapshots(this.reportId);
+    } catch {
+      // nothing stored (or storage unavailable); still clear what is on screen
+    }
+    // not awaited: the page is cleared either way; a later cancel (abort) needs no message
+    this.engine.load([], [], {}).catch((err) => {
+      if (!isAbortError(err)) this.setStatus(`Data forgotten, but the engine could not be reset: ${err.message}`, "danger");
+    });
+    this.clearDataset();
+    this.setStatus("Data forgotten. Upload a file to begin.", "muted");
+  }
 
-        const visible = options.filter(v => !ft || toLower(v).includes(ft));
-        if (!visible.length) {
-          const empty = document.createElement("div");
-          empty.className = "muted";
-          empty.style.fontSize = "12px";
-          empty.textContent = "No matching options.";
-          list.appendChild(empty);
-          return;
-        }
+  // ---------- History & Compare ----------
+  async openHistoryDialog() {
+    let snapshots;
+    try {
+      snapshots = await DATASETS.listSnapshots(this.reportId);
+    } catch (err) {
+      this.setStatus(`Upload history is unavailable: ${err?.message || "storage unavailable"}`, "danger");
+      return;
+    }
 
-        for (const v of visible) {
-          const line = document.createElement("label");
-          line.className = "facet-item";
+    const wrap = document.createElement("div");
+    wrap.className = "history";
+
+    const listBox = document.createElement("div");
+    const controls = document.createElement("div");
+    controls.className = "import-settings";
+    const result = document.createElement("div");
+    result.className = "diff-result";
+
+    const label = (snap) => `${snap.fileName} — ${formatDateTime(snap.uploadedAt)} (${snap.rowCount} rows)`;
+
+    const makeField = (text, control) => {
+      const field = document.createElement("label");
+      field.className = "import-field";
+      const l = document.createElement("span");
+      l.className = "auth-label";
+      l.textContent = text;
+      field.appendChild(l);
+      field.appendChild(control);
+      controls.appendChild(field);
+    };
+
+    const baseSel = document.createElement("select");
+    baseSel.className = "select";
+    const targetSel = document.createElement("select");
+    targetSel.className = "select";
+    const keySel = document.createElement("select");
+    keySel.className = "select";
+
+    const btnCompare = document.createElement("button");
+    btnCompare.className = "btn";
+    btnCompare.type = "button";
+    btnCompare.textContent = "Compare";
+
+    const refreshKeys = () => {
+      const base = snapshots.find(x => String(x.id) === baseSel.value);
+      const target = snapshots.find(x => String(x.id) === targetSel.value);
+      const shared = (base && target) ? target.columns.filter(c => base.columns.includes(c)) : [];
+      const prev = keySel.value;
+
+      keySel.innerHTML = "";
+      for (const c of shared) {
+        const opt = document.createElement("option");
+        opt.value = c;
+        opt.textContent = c;
+        keySel.appendChild(opt);
+      }
+      keySel.value = shared.includes(prev) ? prev : (
+        findColumnIn(shared, ["Asset Tag","AssetTag","Asset"]) ||
+        findColumnIn(shared, ["Serial Number","Serial","SerialNumber"]) ||
+        shared[0] || ""
+      );
+      btnCompare.disabled = !shared.length || baseSel.value === targetSel.value;
+    };
+
+    const renderList = () => {
+      listBox.innerHTML = "";
+      if (!snapshots.length) {
+        const empty = document.createElement("div");
+        empty.className = "muted";
+        empty.style.fontSize = "12px";
+        empty.textContent = "No uploads stored yet. Every import is added here (newest " + HISTORY_LIMIT + " kept).";
+        listBox.appendChild(empty);
+      }
 
-          const cb = document.createElement("input");
-          cb.type = "checkbox";
-          cb.checked = selected.has(v);
-          cb.addEventListener("click", (ev) => ev.stopPropagation());
+      for (const snap of snapshots) {
+        const row = document.createElement("div");
+        row.className = "history-item";
+
+        const name = document.createElement("div");
+        name.className = "name";
+        name.textContent = label(snap);
+        name.title = name.textContent;
+
+        const del = document.createElement("button");
+        del.className = "small-btn";
+        del.type = "button";
+        del.textContent = "Delete";
+        del.addEventListener("click", async () => {
+          if (!confirm(`Delete the snapshot "${label(snap)}"?`)) return;
+          await DATASETS.deleteSnapshot(snap.id);
+          snapshots = snapshots.filter(x => x.id !== snap.id);
+          renderList();
+        });
 
-          cb.addEventListener("change", () => {
-            if (cb.checked) selected.add(v);
-            else selected.delete(v);
+        row.appendChild(name);
+        row.appendChild(del);
+        listBox.appendChild(row);
+      }
 
-            this.draftState.columns[col].value = Array.from(selected);
-            this.updateApplyButtonState();
+      for (const sel of [baseSel, targetSel]) {
+        const prev = sel.value;
+        sel.innerHTML = "";
+        for (const snap of snapshots) {
+          const opt = document.createElement("option");
+          opt.value = String(snap.id);
+          opt.textContent = label(snap);
+          sel.appendChild(opt);
+        }
+        if (snapshots.some(x => String(x.id) === prev)) sel.value = prev;
+      }
+      // defaults: previous upload vs latest
+      if (!targetSel.dataset.touched && snapshots[0]) targetSel.value = String(snapshots[0].id);
+      if (!baseSel.dataset.touched && snapshots[1]) baseSel.value = String(snapshots[1].id);
+      controls.hidden = snapshots.length < 2;
+      refreshKeys();
+    };
+
+    for (const sel of [baseSel, targetSel]) {
+      sel.addEventListener("change", () => { sel.dataset.touched = "1"; refreshKeys(); });
+    }
 
-            // rebuild (keeps behavior consistent with your current project)
-            this.buildFiltersUI();
-            // re-open this filter
-            this.draftState.columns[col].collapsed = false;
-          });
+    btnCompare.addEventListener("click", async () => {
+      const base = snapshots.find(x => String(x.id) === baseSel.value);
+      const target = snapshots.find(x => String(x.id) === targetSel.value);
+      if (!base || !target || !keySel.value) return;
+
+      result.textContent = "Comparing…";
+      try {
+        const [b, t] = await Promise.all([DATASETS.getSnapshotRows(base.id), DATASETS.getSnapshotRows(target.id)]);
+        const diff = diffDatasets(
+          { columns: base.columns, rows: b?.rows || [] },
+          { columns: target.columns, rows: t?.rows || [] },
+          keySel.value
+        );
+        this.renderDiff(result, diff, base, target);
+      } catch (err) {
+        result.textContent = `Compare failed: ${err?.message || err}`;
+      }
+    });
 
-          const textWrap = document.createElement("div");
-          textWrap.className = "facet-text";
+    makeField("Base (older)", baseSel);
+    makeField("Compare (newer)", targetSel);
+    makeField("Match rows on", keySel);
+    const btnField = document.createElement("div");
+    btnField.className = "import-field diff-go";
+    btnField.appendChild(btnCompare);
+    controls.appendChild(btnField);
+
+    wrap.appendChild(listBox);
+    wrap.appendChild(controls);
+    wrap.appendChild(result);
+    renderList();
+
+    await openDialog({
+      title: "Upload history & compare",
+      subtitle: "Snapshots are stored in this browser for this report section.",
+      body: wrap,
+      wide: true,
+      actions: [{ id: "close", label: "Close", variant: "secondary" }]
+    });
+  }
 
-          const valueSpan = document.createElement("div");
-          valueSpan.className = "facet-value";
-          valueSpan.textContent = v;
+  renderDiff(container, diff, base, target) {
+    const DIFF_DISPLAY_LIMIT = 1000;
+    container.innerHTML = "";
+
+    const summary = document.createElement("div");
+    summary.className = "diff-summary";
+    const pills = [
+      ["added", `Added ${diff.added.length}`],
+      ["removed", `Removed ${diff.removed.length}`],
+      ["modified", `Modified ${diff.modified.length}`],
+      ["", `Unchanged ${diff.unchanged}`]
+    ];
+    for (const [kind, text] of pills) {
+      const p = document.createElement("span");
+      p.className = `pill ${kind ? `diff-${kind}` : ""}`.trim();
+      p.textContent = text;
+      summary.appendChild(p);
+    }
+    container.appendChild(summary);
+
+    if (diff.addedColumns.length || diff.removedColumns.length) {
+      const cols = document.createElement("div");
+      cols.className = "hint";
+      const parts = [];
+      if (diff.addedColumns.length) parts.push(`New columns: ${diff.addedColumns.join(", ")}`);
+      if (diff.removedColumns.length) parts.push(`Dropped columns: ${diff.removedColumns.join(", ")}`);
+      cols.textContent = parts.join(" • ");
+      container.appendChild(cols);
+    }
 
-          const countSpan = document.createElement("div");
-          countSpan.className = "facet-count";
-          countSpan.textContent = String(facetCounts.get(v) || 0);
+    const bar = document.createElement("div");
+    bar.className = "facet-actions";
 
-          textWrap.appendChild(valueSpan);
-          textWrap.appendChild(countSpan);
+    const view = document.createElement("select");
+    view.className = "select";
+    for (const [v, text] of [["all", "All changes"], ["added", "Added"], ["removed", "Removed"], ["modified", "Modified"]]) {
+      const opt = document.createElement("option");
+      opt.value = v;
+      opt.textContent = text;
+      view.appendChild(opt);
+    }
 
-          line.appendChild(cb);
-          line.appendChild(textWrap);
-          list.appendChild(line);
+    const btnExport = document.createElement("button");
+    btnExport.className = "btn";
+    btnExport.type = "button";
+    btnExport.textContent = "Export Diff CSV";
+    btnExport.disabled = !(diff.added.length + diff.removed.length + diff.modified.length);
+    btnExport.hidden = !this.access.canExport;
+    btnExport.addEventListener("click", () => this.exportDiffCsv(diff, base, target));
+
+    bar.appendChild(view);
+    bar.appendChild(btnExport);
+    container.appendChild(bar);
+
+    const tableWrap = document.createElement("div");
+    tableWrap.className = "import-preview";
+    const note = document.createElement("div");
+    note.className = "hint";
+    container.appendChild(tableWrap);
+    container.appendChild(note);
+
+    const renderTable = () => {
+      const entries = [];
+      if (view.value === "all" || view.value === "added") for (const r of diff.added) entries.push({ kind: "added", row: r });
+      if (view.value === "all" || view.value === "removed") for (const r of diff.removed) entries.push({ kind: "removed", row: r });
+      if (view.value === "all" || view.value === "modified") for (const m of diff.modified) entries.push({ kind: "modified", row: m.after, before: m.before, changed: new Set(m.changed) });
+
+      const t = document.createElement("table");
+      const thead = document.createElement("thead");
+      const htr = document.createElement("tr");
+      for (const c of ["Change", ...diff.columns]) {
+        const th = document.createElement("th");
+        th.textContent = c;
+        htr.appendChild(th);
+      }
+      thead.appendChild(htr);
+      t.appendChild(thead);
+
+      const tbody = document.createElement("tbody");
+      for (const e of entries.slice(0, DIFF_DISPLAY_LIMIT)) {
+        const tr = document.createElement("tr");
+        tr.className = `diff-${e.kind}`;
+
+        const kind = document.createElement("td");
+        kind.textContent = e.kind[0].toUpperCase() + e.kind.slice(1);
+        tr.appendChild(kind);
+
+        for (const c of diff.columns) {
+          const td = document.createElement("td");
+          const now = normalizeValue(e.row[c]);
+          if (e.changed?.has(c)) {
+            const was = normalizeValue(e.before[c]);
+            td.className = "diff-cell";
+            const old = document.createElement("span");
+            old.className = "diff-old";
+            old.textContent = was || "(blank)";
+            td.appendChild(old);
+            td.appendChild(document.createTextNode(` → ${now || "(blank)"}`));
+            td.title = `${was} → ${now}`;
+          } else {
+            td.textContent = now;
+            td.title = now;
+          }
+          tr.appendChild(td);
         }
-      };
+        tbody.appendChild(tr);
+      }
+      t.appendChild(tbody);
 
-      search.addEventListener("click", (ev) => ev.stopPropagation());
-      search.addEventListener("input", renderOptionList);
-      renderOptionList();
+      tableWrap.innerHTML = "";
+      tableWrap.appendChild(t);
+      note.textContent = entries.length > DIFF_DISPLAY_LIMIT
+        ? `Showing the first ${DIFF_DISPLAY_LIMIT} of ${entries.length} changes (export includes all).`
+        : `${entries.length} change(s) • matched on ${diff.key}`;
+    };
 
-      body.appendChild(search);
-      body.appendChild(actionsRow);
-      body.appendChild(list);
+    view.addEventListener("change", renderTable);
+    renderTable();
+  }
 
-      wrap.appendChild(body);
-      this.filtersContainer.appendChild(wrap);
-    }
+  // Change + Changed Columns, the row's values (previous values for removed rows),
+  // then "Previous <column>" for every column modified in at least one row
+  exportDiffCsv(diff, base, target) {
+    if (!this.access.canExport) return;
+    const changedCols = diff.columns.filter(c => diff.modified.some(m => m.changed.includes(c)));
+    const prevCol = (c) => `Previous ${c}`;
+    const columns = ["Change", "Changed Columns", ...diff.columns, ...changedCols.map(prevCol)];
+
+    const rows = [
+      ...diff.added.map(r => ({ ...r, "Change": "Added" })),
+      ...diff.removed.map(r => ({ ...r, "Change": "Removed" })),
+      ...diff.modified.map((m) => {
+        const out = { ...m.after, "Change": "Modified", "Changed Columns": m.changed.join("; ") };
+        for (const c of m.changed) out[prevCol(c)] = m.before[c];
+        return out;
+      })
+    ];
+
+    const stamp = (snap) => snap.uploadedAt.slice(0, 10);
+    downloadFile(
+      toCsv(columns, rows),
+      "text/csv;charset=utf-8",
+      `${this.reportId}_diff_${stamp(base)}_vs_${stamp(target)}.csv`
+    );
+    this.audit("export", `Upload diff as CSV (${rows.length} rows)`);
   }
 
-  // ---------- Export ----------
-  exportFilteredCsv() {
-    if (!this.filteredRows.length) return;
+  // Back to the empty state the page starts in
+  clearDataset() {
+    this.queryToken++;
+    this.rawRows = [];
+    this.filteredRows = [];
+    this.columns = [];
+    this.columnTypes = {};
+    this.facets = new Map();
+    this.summaries = new Map();
+    this.appliedState = emptyFilterState();
+    this.draftState = emptyFilterState();
+    this.sortState = [];
+    this.resultsStale = false;
+    this.resultQuery = { state: emptyFilterState(), sort: [] };
+    this.selectedRows.clear();
+    this.selectionAnchor = null;
+    this.updateSelectionInfo();
+
+    this.showDatasetInfo(null);
+    this.rowCount.textContent = "—";
+    this.filteredCount.textContent = "—";
+    this.globalSearch.value = "";
+    this.fuzzyToggle.checked = false;
+    this.renderSearchFeedback();
+    this.rulesContainer.innerHTML = "";
+    this.filtersContainer.innerHTML = "";
+    this.valueLists = new Map();
+    this.kpiRow.innerHTML = "";
+    this.breakdownGrid.innerHTML = "";
+    this.chartGrid.innerHTML = "";
+    this.pivotControls.innerHTML = "";
+    this.pivotTable.innerHTML = "";
+    this.renderPivot();
+    this.tableHead.innerHTML = "";
+    this.groupBar.innerHTML = "";
+    this.collapsedGroups.clear();
+    this.tableColumns = [];
+    this.tableRows = [];
+    this.renderedRange = { start: -1, end: -1 };
+    this.tableBody.innerHTML = "";
 
-    const header = this.columns.map(escapeCsvValue).join(",");
-    const lines = this.filteredRows.map(r => this.columns.map(c => escapeCsvValue(r[c])).join(","));
-    const csv = [header, ...lines].join("\n");
+    this.enableControls(false);
+    this.updateBusyState();
+    this.resetUndo(null);
+    this.syncUrlState();
+  }
 
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
-    const url = URL.createObjectURL(blob);
+  // Preview step: delimiter / encoding / header row (per importer.settings) and per-column types.
+  // Resolves the final parse options, or null when cancelled.
+  async openImportWizard(file, importer, options, firstPreview) {
+    const opts = { ...options, types: { ...options.types } };
+    let preview = firstPreview;
+    let token = 0;
+
+    const wrap = document.createElement("div");
+    wrap.className = "import-wizard";
+
+    const settings = document.createElement("div");
+    settings.className = "import-settings";
+
+    const addSetting = (label, control) => {
+      const field = document.createElement("label");
+      field.className = "import-field";
+      const l = document.createElement("span");
+      l.className = "auth-label";
+      l.textContent = label;
+      field.appendChild(l);
+      field.appendChild(control);
+      settings.appendChild(field);
+    };
+
+    const makeSelect = (choices, value, onChange) => {
+      const sel = document.createElement("select");
+      sel.className = "select";
+      for (const [v, text] of choices) {
+        const opt = document.createElement("option");
+        opt.value = v;
+        opt.textContent = text;
+        sel.appendChild(opt);
+      }
+      sel.value = value;
+      sel.addEventListener("change", () => onChange(sel.value));
+      return sel;
+    };
+
+    const meta = document.createElement("div");
+    meta.className = "hint";
+    const table = document.createElement("div");
+    table.className = "import-preview";
+    const issues = document.createElement("div");
+    issues.className = "import-issues";
+
+    const render = () => {
+      const detected = preview.delimiter === "\t" ? "Tab" : preview.delimiter;
+      meta.textContent = `Showing the first ${preview.rows.length} row(s) and ${preview.columns.length} column(s)`
+        + (detected ? ` • Delimiter: ${detected}` : "");
+
+      table.innerHTML = "";
+      const t = document.createElement("table");
+      const thead = document.createElement("thead");
+      const names = document.createElement("tr");
+      const kinds = document.createElement("tr");
+      for (const col of preview.columns) {
+        const th = document.createElement("th");
+        th.textContent = col;
+        names.appendChild(th);
+
+        const td = document.createElement("th");
+        td.appendChild(makeSelect(
+          COLUMN_TYPES.map(k => [k, k[0].toUpperCase() + k.slice(1)]),
+          preview.types[col] || "text",
+          (v) => { opts.types[col] = v; refresh(); }
+        ));
+        kinds.appendChild(td);
+      }
+      thead.appendChild(names);
+      thead.appendChild(kinds);
+      t.appendChild(thead);
+
+      const tbody = document.createElement("tbody");
+      for (const r of preview.rows) {
+        const tr = document.createElement("tr");
+        for (const col of preview.columns) {
+          const td = document.createElement("td");
+          td.textContent = normalizeValue(r[col]);
+          td.title = td.textContent;
+          tr.appendChild(td);
+        }
+        tbody.appendChild(tr);
+      }
+      t.appendChild(tbody);
+      table.appendChild(t);
+
+      issues.innerHTML = "";
+      if (preview.issueCount) {
+        const head = document.createElement("div");
+        head.className = "status danger";
+        head.textContent = `${preview.issueCount} issue(s) in the preview rows:`;
+        issues.appendChild(head);
+        issues.appendChild(this.buildIssueList(preview.issues));
+      }
+    };
+
+    const refresh = async () => {
+      const mine = ++token;
+      meta.textContent = "Updating preview…";
+      try {
+        const next = await this.engine.preview(file, opts);
+        if (mine !== token) return;
+        if (next.sheets) return;
+        preview = next;
+      } catch (err) {
+        if (mine !== token || isAbortError(err)) return;
+        meta.textContent = `Preview failed: ${err.message}`;
+        return;
+      }
+      render();
+    };
 
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${this.reportId}_filtered_export_${new Date().toISOString().slice(0,10)}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
+    if (importer.settings.includes("delimiter")) {
+      addSetting("Delimiter", makeSelect(IMPORT_DELIMITERS, opts.delimiter, (v) => { opts.delimiter = v; refresh(); }));
+    }
+    if (importer.settings.includes("encoding")) {
+      addSetting("Encoding", makeSelect(IMPORT_ENCODINGS, opts.encoding, (v) => { opts.encoding = v; refresh(); }));
+    }
+    if (importer.settings.includes("skipLines")) {
+      const headerRow = document.createElement("input");
+      headerRow.className = "input";
+      headerRow.type = "number";
+      headerRow.min = "1";
+      headerRow.value = String((opts.skipLines || 0) + 1);
+      headerRow.title = "Line number of the header row (skip banner lines above it)";
+      headerRow.addEventListener("change", () => {
+        opts.skipLines = Math.max(0, (parseInt(headerRow.value, 10) || 1) - 1);
+        headerRow.value = String(opts.skipLines + 1);
+        refresh();
+      });
+      addSetting("Header row", headerRow);
+    }
 
-    URL.revokeObjectURL(url);
+    if (settings.children.length) wrap.appendChild(settings);
+    wrap.appendChild(meta);
+    wrap.appendChild(table);
+    wrap.appendChild(issues);
+    render();
+
+    const action = await openDialog({
+      title: "Import preview",
+      subtitle: `${file.name} • ${importer.label}`,
+      body: wrap,
+      wide: true,
+      actions: [
+        { id: "cancel", label: "Cancel", variant: "secondary" },
+        { id: "import", label: "Import" }
+      ]
+    });
+    token++; // ignore any preview still in flight
+    return action === "import" ? opts : null;
   }
 
-  // ---------- Presets ----------
-  readPresets() {
-    try {
-      const raw = localStorage.getItem(this.PRESETS_KEY);
-      return raw ? JSON.parse(raw) : [];
-    } catch {
-      return [];
+  buildIssueList(issues) {
+    const list = document.createElement("ul");
+    list.className = "issue-list";
+    for (const it of issues) {
+      const li = document.createElement("li");
+      li.textContent = it.row ? `Row ${it.row}: ${it.message}` : it.message;
+      list.appendChild(li);
     }
+    return list;
   }
 
-  writePresets(presets) {
-    localStorage.setItem(this.PRESETS_KEY, JSON.stringify(presets));
+  setImportIssues(issues, count) {
+    this.importIssues = { issues: issues || [], count: count || 0 };
+    this.btnIssues.hidden = !this.importIssues.count;
+    this.btnIssues.textContent = `Issues (${this.importIssues.count})`;
   }
 
-  refreshPresetSelect() {
-    const presets = this.readPresets();
-    this.presetSelect.innerHTML = `<option value="">— Select a preset —</option>`;
-    for (const p of presets) {
+  showImportIssues() {
+    const { issues, count } = this.importIssues;
+    if (!count) return;
+    openDialog({
+      title: "Import issues",
+      subtitle: issues.length < count
+        ? `Showing the first ${issues.length} of ${count}. Affected rows were still imported.`
+        : `${count} issue(s). Affected rows were still imported.`,
+      body: this.buildIssueList(issues),
+      actions: [{ id: "close", label: "Close", variant: "secondary" }]
+    });
+  }
+
+  async pickSheet(file, sheets) {
+    const select = document.createElement("select");
+    select.className = "select";
+    for (const sh of sheets) {
       const opt = document.createElement("option");
-      opt.value = p.id;
-      opt.textContent = p.name;
-      this.presetSelect.appendChild(opt);
+      opt.value = sh.name;
+      opt.textContent = `${sh.name} (${sh.rows} rows)`;
+      select.appendChild(opt);
     }
-  }
 
-  currentPresetPayload() {
-    return { global: this.appliedState.global, columns: this.appliedState.columns, sort: this.sortState };
+    const action = await openDialog({
+      title: "Choose a sheet",
+      subtitle: `${file.name} has ${sheets.length} sheets.`,
+      body: select,
+      actions: [
+        { id: "cancel", label: "Cancel", variant: "secondary" },
+        { id: "load", label: "Load Sheet" }
+      ]
+    });
+    return action === "load" ? select.value : null;
   }
 
-  applyPresetPayload(payload) {
-    this.appliedState.global = payload?.global ?? "";
-    this.appliedState.columns = payload?.columns ?? {};
-    this.sortState = payload?.sort ?? { col: null, dir: "asc" };
+  async loadParsedDataset(parsed, doneMessage) {
+    this.columns = parsed.columns;
+    this.rawRows = parsed.rows;
+    this.columnTypes = parsed.types || {};
+    this.facets = new Map();
+    this.summaries = new Map();
+    this.valueLists = new Map();
 
-    this.draftState = deepClone(this.appliedState);
-    for (const c of Object.keys(this.draftState.columns || {})) this.draftState.columns[c].collapsed = true;
+    this.appliedState = emptyFilterState();
+    this.draftState = emptyFilterState();
+    this.sortState = [];
+    this.selectedRows.clear();
+    this.selectionAnchor = null;
 
-    this.globalSearch.value = this.draftState.global;
+    this.enableControls(true);
+
+    this.globalSearch.value = "";
+    this.fuzzyToggle.checked = false;
+    this.draftState.global = "";
 
-    this.buildFiltersUI();
     this.buildTableHeader();
-    this.applyAppliedFiltersAndRender();
+    this.refreshPresetSelect();
+
+    if (!await this.applyAppliedFiltersAndRender()) return false;
+
+    this.setStatus(`${doneMessage} Set filters, then click Apply.`, "muted");
+    this.resetUndo(`Load ${this.fileName.textContent}`);
     this.updateApplyButtonState();
+    await this.applyStartupView();
+    return true;
   }
 
   // ---------- Events ----------
   bindEvents() {
-    // CSV upload
+    // virtualized table
+    this.tableWrap.addEventListener("scroll", () => this.scheduleVisibleRowsRender(), { passive: true });
+    window.addEventListener("resize", () => this.scheduleVisibleRowsRender());
+
+    // file upload (previewed, then parsed in the worker)
+    this.csvFile.accept = acceptedFileTypes();
     this.csvFile.addEventListener("change", (e) => {
       const file = e.target.files?.[0];
       if (!file) return;
+      e.target.value = ""; // allow picking the same file again after a cancel
+      this.importFile(file);
+    });
 
-      this.fileName.textContent = file.name;
-      this.setStatus("Parsing CSV…", "muted");
-
-      Papa.parse(file, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: false,
-        complete: (results) => {
-          const data = results.data || [];
-          const fields = results.meta?.fields || [];
-          this.columns = fields.filter(Boolean);
-          if (!this.columns.length && data.length) this.columns = Object.keys(data[0]);
-
-          this.rawRows = data.map((r) => {
-            const obj = {};
-            for (const c of this.columns) obj[c] = (c in r) ? r[c] : "";
-            return obj;
-          });
-
-          this.appliedState = { global: "", columns: {} };
-          this.draftState = { global: "", columns: {} };
-          this.sortState = { col: null, dir: "asc" };
-
-          this.enableControls(true);
-
-          this.globalSearch.value = "";
-          this.draftState.global = "";
-
-          this.buildTableHeader();
-          this.refreshPresetSelect();
-
-          this.ensureStateSchemas();
-          for (const c of this.columns) {
-            this.appliedState.columns[c].collapsed = true;
-            this.draftState.columns[c].collapsed = true;
-          }
-
-          this.buildFiltersUI();
-          this.applyAppliedFiltersAndRender();
-
-          this.setStatus("CSV loaded. Set filters, then click Apply.", "muted");
-          this.updateApplyButtonState();
-        },
-        error: () => this.setStatus("Failed to parse CSV. Confirm it is a valid .csv file with headers.", "danger")
-      });
+    // saved dataset + upload history
+    this.btnForget.addEventListener("click", () => this.forgetSavedDataset());
+    this.btnHistory.addEventListener("click", () => this.openHistoryDialog());
+    this.btnLayout.addEventListener("click", () => this.openLayoutDialog());
+    this.btnReport.addEventListener("click", () => this.openReportDialog());
+    this.btnPivot.addEventListener("click", () => this.setPivotMode(!this.getPivotConfig().open));
+    this.btnPivotExport.addEventListener("click", () => this.exportPivotCsv());
+    this.btnColumns.addEventListener("click", () => this.openColumnsDialog());
+
+    // row-level import issues
+    this.btnIssues.addEventListener("click", () => this.showImportIssues());
+
+    // cancel a running parse / apply
+    this.btnCancel.addEventListener("click", () => {
+      this.engine.cancel();
+      this.updateBusyState();
     });
 
     // draft global search
     this.globalSearch.addEventListener("input", () => {
       this.draftState.global = this.globalSearch.value;
-      this.updateApplyButtonState();
+      this.renderSearchFeedback();
+      this.draftEdited();
+    });
+
+    // fuzzy mode: search box on Apply, facet option search right away
+    this.fuzzyToggle.addEventListener("change", () => {
+      this.draftState.fuzzy = this.fuzzyToggle.checked;
+      this.buildFiltersUI();
+      this.draftEdited();
     });
 
     // apply
-    this.btnApply.addEventListener("click", () => {
+    this.btnApply.addEventListener("click", async () => {
       this.appliedState = deepClone(this.draftState);
 
       for (const c of Object.keys(this.draftState.columns || {})) {
@@ -864,43 +5785,47 @@ class ReportDashboard {
         this.appliedState.columns[c].collapsed = true;
       }
 
-      this.applyAppliedFiltersAndRender();
       this.buildFiltersUI();
+      if (!await this.applyAppliedFiltersAndRender()) return;
 
       this.setStatus("Applied filters. Dropdowns closed.", "muted");
       this.updateApplyButtonState();
+      this.recordStep("Apply");
     });
 
     // clear
-    this.btnClear.addEventListener("click", () => {
+    this.btnClear.addEventListener("click", async () => {
       this.draftState.global = "";
       this.appliedState.global = "";
       this.globalSearch.value = "";
+      this.draftState.rules = emptyRuleGroup();
+      this.appliedState.rules = emptyRuleGroup();
 
       for (const c of this.columns) {
         const a = this.appliedState.columns[c];
         const d = this.draftState.columns[c];
-        if (a) {
-          if (a.type === "text") a.value = "";
-          if (a.type === "multi") a.value = [];
-          a.collapsed = true;
-        }
-        if (d) {
-          if (d.type === "text") d.value = "";
-          if (d.type === "multi") d.value = [];
-          d.collapsed = true;
-        }
+        if (a) this.appliedState.columns[c] = { ...emptyFilter(this.defaultFilterOp(c)), collapsed: true };
+        if (d) this.draftState.columns[c] = { ...emptyFilter(this.defaultFilterOp(c)), collapsed: true };
       }
 
-      this.sortState = { col: null, dir: "asc" };
+      this.sortState = [];
       this.buildTableHeader();
       this.buildFiltersUI();
-      this.applyAppliedFiltersAndRender();
+      if (!await this.applyAppliedFiltersAndRender()) return;
+      this.setStatus("Filters cleared.", "muted");
       this.updateApplyButtonState();
+      this.recordStep("Clear filters");
     });
 
+    // undo / redo
+    this.btnUndo.addEventListener("click", () => this.undo());
+    this.btnRedo.addEventListener("click", () => this.redo());
+    this.undoSelect.addEventListener("change", () => this.goToStep(Number(this.undoSelect.value)));
+    document.addEventListener("keydown", (ev) => this.handleUndoKey(ev));
+
     // export
-    this.btnExport.addEventListener("click", () => this.exportFilteredCsv());
+    this.btnExport.addEventListener("click", () => this.openExportDialog());
+    this.btnClearSelection.addEventListener("click", () => this.clearSelection());
 
     // presets
     this.btnSavePreset.addEventListener("click", () => {
@@ -911,7 +5836,7 @@ class ReportDashboard {
       }
 
       const presets = this.readPresets();
-      const id = crypto?.randomUUID ? crypto.randomUUID() : String(Date.now());
+      const id = this.newPresetId();
 
       presets.unshift({
         id,
@@ -926,7 +5851,7 @@ class ReportDashboard {
       this.setStatus(`Saved preset: ${name}`, "muted");
     });
 
-    this.btnLoadPreset.addEventListener("click", () => {
+    this.btnLoadPreset.addEventListener("click", async () => {
       const id = this.presetSelect.value;
       if (!id) return;
 
@@ -937,8 +5862,9 @@ class ReportDashboard {
         return;
       }
 
-      this.applyPresetPayload(p.payload);
+      if (!await this.applyPresetPayload(p.payload)) return;
       this.setStatus(`Loaded preset: ${p.name}`, "muted");
+      this.recordStep(`Load preset: ${p.name}`);
     });
 
     this.btnRenamePreset.addEventListener("click", () => {
@@ -963,6 +5889,7 @@ class ReportDashboard {
     });
 
     this.btnDeletePreset.addEventListener("click", () => {
+      if (!this.access.canDeletePresets) return;
       const id = this.presetSelect.value;
       if (!id) {
         this.setStatus("Select a preset to delete.", "danger");
@@ -976,46 +5903,115 @@ class ReportDashboard {
 
       const next = presets.filter(x => x.id !== id);
       this.writePresets(next);
+      if (id === this.getDefaultPresetId()) this.setDefaultPresetId("");
       this.refreshPresetSelect();
       this.presetSelect.value = "";
       this.setStatus("Preset deleted.", "muted");
     });
+
+    this.presetSelect.addEventListener("change", () => this.updatePresetButtons());
+    this.btnUpdatePreset.addEventListener("click", () => this.updateSelectedPreset());
+    this.btnPresetHistory.addEventListener("click", () => this.openPresetHistory());
+    this.btnDefaultPreset.addEventListener("click", () => this.toggleDefaultPreset());
+    this.btnExportPresets.addEventListener("click", () => this.exportPresets());
+    this.btnImportPresets.addEventListener("click", () => this.presetFile.click());
+    this.presetFile.addEventListener("change", async () => {
+      const file = this.presetFile.files?.[0];
+      this.presetFile.value = "";
+      if (file) await this.importPresetsFile(file);
+    });
   }
 }
 
 // ---------- App Boot (guarded) ----------
 let APP_INITIALIZED = false;
 
-function initDashboardsAndTabs() {
+function initDashboardsAndTabs(access) {
   if (APP_INITIALIZED) return;
   APP_INITIALIZED = true;
 
-  // dashboards
+  // dashboards (only the sections this role may open; the others stay hidden and never load data)
   const dashboards = new Map();
   for (const section of document.querySelectorAll(".report")) {
     const id = section.getAttribute("data-report");
-    dashboards.set(id, new ReportDashboard(section, id));
+    section.hidden = !canOpenReport(access, id);
+    if (!section.hidden) dashboards.set(id, new ReportDashboard(section, id, access));
+  }
+  for (const tab of document.querySelectorAll(".tab")) {
+    tab.hidden = !dashboards.has(tab.getAttribute("data-tab"));
   }
 
+  // a shared link (#report=…&view=…) picks the tab and its filters
+  const url = readUrlState();
+  const startId = dashboards.has(url.reportId) ? url.reportId : dashboards.has("stock") ? "stock" : [...dashboards.keys()][0];
+  if (url.view) dashboards.get(startId).pendingUrlView = url.view;
+
+  // bring back each section's last dataset (IndexedDB)
+  for (const d of dashboards.values()) d.restoreSavedDataset();
+
+  const activate = (id) => {
+    setActiveReport(id);
+    dashboards.get(id)?.syncUrlState();
+  };
+
   // tabs init
   for (const tab of document.querySelectorAll(".tab")) {
     tab.addEventListener("click", () => {
       const id = tab.getAttribute("data-tab");
-      setActiveReport(id);
+      if (dashboards.has(id)) activate(id);
     });
   }
 
-  // default tab
-  setActiveReport("stock");
+  // links pasted into the address bar while the app is open
+  window.addEventListener("hashchange", () => {
+    const next = readUrlState();
+    if (!dashboards.has(next.reportId)) return;
+    setActiveReport(next.reportId);
+    const dash = dashboards.get(next.reportId);
+    dash.applyUrlView(next.view).catch((err) => dash.setStatus(`Could not open the link: ${err?.message || err}`, "danger"));
+  });
+
+  activate(startId);
 }
 
+let APP_USER = null; // who the dashboards were opened for
+
 function showApp() {
+  const access = accessFor(AUTH.user);
+  if (access.reports?.size === 0) {
+    const name = AUTH.user?.name || "This account";
+    AUTH.clear();
+    showGate(`${name} has no access to any report. Ask an administrator for a role.`, "danger");
+    return;
+  }
+  // the shell is wired once; a different user signing in after expiry starts from a clean page
+  if (APP_INITIALIZED && AUTH.user?.id !== APP_USER?.id) {
+    window.location.reload();
+    return;
+  }
+  APP_USER = AUTH.user;
+  LAST_ACTIVITY = Date.now();
+
   const gate = document.getElementById("authGate");
   const shell = document.getElementById("appShell");
   if (gate) gate.style.display = "none";
   if (shell) shell.hidden = false;
+  document.body.classList.remove("is-locked");
 
-  initDashboardsAndTabs();
+  const userName = document.getElementById("userName");
+  if (userName) userName.textContent = [AUTH.user?.name, access.label && `(${access.label})`].filter(Boolean).join(" ");
+
+  // showing the shell again (after a re-login) keeps every section's state
+  if (APP_INITIALIZED) return;
+  initDashboardsAndTabs(access);
+  watchIdle();
+
+  // audit log (admins)
+  const auditBtn = document.getElementById("auditBtn");
+  if (auditBtn) {
+    auditBtn.hidden = !access.canViewAudit;
+    auditBtn.addEventListener("click", () => openAuditLog());
+  }
 
   // theme toggle (app)
   const themeBtn = document.getElementById("themeToggle");
@@ -1024,64 +6020,237 @@ function showApp() {
   // logout
   const logoutBtn = document.getElementById("logoutBtn");
   if (logoutBtn) {
-    logoutBtn.addEventListener("click", () => {
-      clearAuthState();
-      // simplest + safest reset for all dashboard state
-      window.location.reload();
+    logoutBtn.addEventListener("click", async () => {
+      // OIDC providers redirect back after ending their session; otherwise reload for a clean slate
+      if (!await AUTH.signOut()) window.location.reload();
     });
   }
 }
 
-function showGate() {
+// After a lock or an ended session the dashboards stay loaded underneath (open dialogs are hidden too);
+// signing in again as the same user picks up where they left off
+function showGate(message = "", tone = "muted") {
   const gate = document.getElementById("authGate");
   const shell = document.getElementById("appShell");
   if (gate) gate.style.display = "flex";
   if (shell) shell.hidden = true;
+  document.body.classList.toggle("is-locked", APP_INITIALIZED);
+  if (message) setLoginMessage(message, tone);
+
+  const user = document.getElementById("loginUser");
+  const pass = document.getElementById("loginPass");
+  if (APP_INITIALIZED && APP_USER && AUTH.provider.usesPassword && user && pass) {
+    user.value = APP_USER.id;
+    pass.value = "";
+    pass.focus();
+  }
+}
+
+function setLoginMessage(text, tone = "muted") {
+  const msg = document.getElementById("loginMsg");
+  if (!msg) return;
+  msg.className = `status ${tone}`;
+  msg.textContent = text;
 }
 
 function wireAuthUI() {
   const form = document.getElementById("loginForm");
   const user = document.getElementById("loginUser");
   const pass = document.getElementById("loginPass");
-  const msg = document.getElementById("loginMsg");
   const remember = document.getElementById("rememberMe");
+  const fields = document.getElementById("passwordFields");
+  const submit = document.getElementById("loginSubmit");
+  const note = document.getElementById("loginNote");
 
   const themeBtnAuth = document.getElementById("themeToggleAuth");
   if (themeBtnAuth) themeBtnAuth.addEventListener("click", toggleTheme);
 
-  if (!form || !user || !pass || !msg) return;
-
-  form.addEventListener("submit", (ev) => {
-    ev.preventDefault();
+  if (!form || !user || !pass) return;
 
-    const u = normalizeValue(user.value);
-    const p = normalizeValue(pass.value);
+  // redirect providers (OIDC) have no username / password on this page
+  const { usesPassword, label, note: providerNote } = AUTH.provider;
+  if (fields) fields.hidden = !usesPassword;
+  user.required = usesPassword;
+  pass.required = usesPassword;
+  if (submit) submit.textContent = label;
+  if (note) note.textContent = providerNote;
+  if (!usesPassword) setLoginMessage("Sign in with your organization account.");
 
-    if (u === AUTH_USER && p === AUTH_PASS) {
-      setAuthState({ remember: !!remember?.checked });
-      msg.className = "status success";
-      msg.textContent = "Authenticated. Loading dashboard…";
-      showApp();
+  form.addEventListener("submit", async (ev) => {
+    ev.preventDefault();
+    const wait = usesPassword ? loginLockRemaining() : 0;
+    if (wait) {
+      setLoginMessage(`Too many failed sign-in attempts. Try again in ${formatWait(wait)}.`, "danger");
       return;
     }
+    if (submit) submit.disabled = true;
+    try {
+      // once the dashboards are open (lock screen / ended session) SSO runs in a pop-up so they keep their state
+      const session = await AUTH.signIn({
+        username: usesPassword ? normalizeValue(user.value) : APP_USER?.email || "",
+        password: normalizeValue(pass.value),
+        remember: !!remember?.checked,
+        popup: APP_INITIALIZED
+      });
+      if (!session) {
+        setLoginMessage("Redirecting to sign in…");
+        return;
+      }
+      if (usesPassword) resetLoginFailures();
+      pass.value = "";
+      setLoginMessage("Authenticated. Loading dashboard…", "success");
+      showApp();
+    } catch (err) {
+      let message = err.message || "Sign-in failed.";
+      if (usesPassword) {
+        const { locked, left } = recordLoginFailure();
+        if (locked) {
+          recordAudit("lockout", `After ${AUTH_CONFIG.lockout.maxAttempts} failed attempts`, "", null);
+          message = `Too many failed sign-in attempts. Sign-in is locked for ${formatWait(loginLockRemaining())}.`;
+        } else if (left <= 2) {
+          message += ` ${left} attempt(s) left before sign-in is locked.`;
+        }
+        pass.value = "";
+        pass.focus();
+      }
+      setLoginMessage(message, "danger");
+    } finally {
+      if (submit) submit.disabled = false;
+    }
+  });
 
-    msg.className = "status danger";
-    msg.textContent = "Invalid username or password.";
-    pass.value = "";
-    pass.focus();
+  // silent renewal failed: back to the gate, dashboards stay as they are underneath
+  AUTH.onExpired = (err) => {
+    showGate(err?.message && !/expired/i.test(err.message)
+      ? `Your session could not be renewed (${err.message}). Sign in again.`
+      : "Your session has expired. Sign in again.", "danger");
+  };
+}
+
+// ---------- Idle lock ----------
+// No pointer / keyboard / scroll activity for auth.session.idleLockMinutes: sign out locally and show the
+// sign-in page over the (still loaded) dashboards
+const IDLE_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart", "scroll"];
+let LAST_ACTIVITY = Date.now();
+
+function idleLockMs() {
+  return Math.max(0, Number(AUTH_CONFIG.session?.idleLockMinutes ?? 15)) * 60 * 1000;
+}
+
+function watchIdle() {
+  const ms = idleLockMs();
+  if (!ms) return;
+  const touch = () => { LAST_ACTIVITY = Date.now(); };
+  for (const type of IDLE_EVENTS) document.addEventListener(type, touch, { capture: true, passive: true });
+  // timers are throttled in background tabs (and stop while the device sleeps)
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") checkIdle();
+  });
+  setInterval(checkIdle, Math.min(30000, ms / 4));
+}
+
+function checkIdle() {
+  if (!AUTH.session || Date.now() - LAST_ACTIVITY < idleLockMs()) return;
+  const minutes = Math.round(idleLockMs() / 60000);
+  recordAudit("lock", `Idle for ${minutes} minute(s)`);
+  AUTH.clear();
+  showGate(`Locked after ${minutes} minute(s) without activity. Sign in again to continue where you left off.`);
+}
+
+// ---------- Audit log ----------
+const AUDIT_DISPLAY_LIMIT = 500;
+const AUDIT_COLUMNS = ["at", "user", "name", "role", "action", "report", "detail"];
+const AUDIT_HEADERS = ["Time", "User", "Name", "Role", "Action", "Section", "Details"];
+
+async function openAuditLog() {
+  if (!accessFor(AUTH.user).canViewAudit) return;
+  const log = readAuditLog();
+
+  const wrap = document.createElement("div");
+  wrap.className = "import-settings";
+
+  const field = document.createElement("label");
+  field.className = "import-field";
+  const label = document.createElement("span");
+  label.className = "muted";
+  label.textContent = "Action";
+  const filter = document.createElement("select");
+  filter.className = "select";
+  for (const v of ["", ...new Set(log.map(e => e.action))]) {
+    const o = document.createElement("option");
+    o.value = v;
+    o.textContent = v || "All actions";
+    filter.appendChild(o);
+  }
+  field.appendChild(label);
+  field.appendChild(filter);
+  wrap.appendChild(field);
+
+  const count = document.createElement("div");
+  count.className = "muted";
+  wrap.appendChild(count);
+
+  const preview = document.createElement("div");
+  preview.className = "import-preview";
+  wrap.appendChild(preview);
+
+  const entries = () => log.filter(e => !filter.value || e.action === filter.value);
+  const render = () => {
+    const shown = entries().reverse(); // newest first
+    count.textContent = shown.length > AUDIT_DISPLAY_LIMIT
+      ? `Showing the newest ${AUDIT_DISPLAY_LIMIT} of ${shown.length} entries (exports include all of them).`
+      : `${shown.length} entries (this browser only, newest first).`;
+    const table = document.createElement("table");
+    const htr = table.createTHead().insertRow();
+    for (const h of AUDIT_HEADERS) {
+      const th = document.createElement("th");
+      th.textContent = h;
+      htr.appendChild(th);
+    }
+    const tbody = table.createTBody();
+    for (const e of shown.slice(0, AUDIT_DISPLAY_LIMIT)) {
+      const tr = tbody.insertRow();
+      for (const c of AUDIT_COLUMNS) tr.insertCell().textContent = c === "at" ? formatDateTime(e.at) : normalizeValue(e[c]);
+    }
+    preview.replaceChildren(table);
+  };
+  filter.addEventListener("change", render);
+  render();
+
+  const action = await openDialog({
+    title: "Audit Log",
+    subtitle: "Sign-ins, sign-outs, uploads and exports",
+    body: wrap,
+    wide: true,
+    actions: [
+      { id: "close", label: "Close", variant: "secondary" },
+      { id: "json", label: "Export JSON", variant: "secondary" },
+      { id: "csv", label: "Export CSV" }
+    ]
   });
+  if (action !== "csv" && action !== "json") return;
+
+  const rows = entries();
+  const name = `audit_log_${todayStamp()}`;
+  if (action === "csv") downloadFile(toCsv(AUDIT_COLUMNS, rows, AUDIT_HEADERS), "text/csv;charset=utf-8", `${name}.csv`);
+  else downloadFile(JSON.stringify(rows, null, 2), "application/json", `${name}.json`);
+  recordAudit("export", `Audit log as ${action.toUpperCase()} (${rows.length} entries)`);
 }
 
 // ---------- Boot ----------
-(function init() {
+(async function init() {
+  // sign-in pop-up returning from the identity provider: hand over and close
+  if (AUTH.provider.finishPopup()) return;
+
   // theme init (needed for both gate and app)
   applyTheme(getStoredTheme());
 
   wireAuthUI();
 
-  if (getAuthState()) {
-    showApp();
-  } else {
-    showGate();
+  try {
+    if (await AUTH.start()) showApp();
+    else showGate();
+  } catch (err) {
+    showGate(err.message || "Sign-in failed.", "danger");
   }
 })();
@@ -0,0 +1,65 @@
+/* Dashboard configuration (loaded before app.js)
+   - auth.provider picks how people sign in:
+       "demo"  built-in username/password gate. Client-side only: anyone can read these credentials, so
+               use it for demos and local testing, never to protect real data.
+       "oidc"  OpenID Connect / OAuth 2.0 authorization code flow with PKCE against your identity provider
+               (tokens expire and are refreshed silently with the refresh token).
+   - For local OIDC testing run the mock identity provider: `node tools/mock-idp.js` (see README).
+   - access decides what each signed-in user can see and do, by role (viewer / analyst / admin).
+     Role gating is cosmetic unless a real identity provider issues the roles (the OIDC roles claim): with the
+     demo provider anyone can read the accounts above and sign in as an admin. Even with an IdP the checks run
+     in the browser, so they tidy the UI per role; they do not secure data the page has loaded.
+*/
+
+const DASHBOARD_CONFIG = {
+  auth: {
+    provider: "demo",
+
+    session: {
+      hours: 8,             // a sign-in ends after this long (0 = until the tab is closed / signed out)
+      rememberDays: 7,      // ...or this long with "Remember me" (0 = no limit)
+      idleLockMinutes: 15   // lock the screen after this long without activity (0 = never)
+    },
+
+    lockout: {
+      maxAttempts: 5,       // failed password sign-ins in a row before sign-in is locked (0 = no lockout)
+      minutes: 5            // how long it stays locked
+    },
+
+    demo: {
+      accounts: [
+        { username: "IndeedITAM", password: "Indeed1234", role: "admin" },
+        { username: "analyst", password: "Analyst1234", role: "analyst" },
+        { username: "viewer", password: "Viewer1234", role: "viewer" }
+      ]
+    },
+
+    oidc: {
+      displayName: "Mock IdP",               // shown on the sign-in button
+      issuer: "http://localhost:9000",       // discovery: <issuer>/.well-known/openid-configuration
+      clientId: "reports-dashboard",
+      redirectUri: "",                       // "" = this page; must be registered with the provider
+      postLogoutRedirectUri: "",             // "" = this page
+      scope: "openid profile email offline_access",
+      refreshBeforeSeconds: 60               // renew this long before the access token expires
+    }
+  },
+
+  access: {
+    // reports: data-report ids the role can open ("*" = all); export: Export / Generate Report / CSV downloads;
+    // deletePresets: delete presets (and overwrite them on import); audit: view and export the audit log
+    roles: {
+      viewer: { label: "Viewer", reports: ["stock"], export: false, deletePresets: false },
+      analyst: { label: "Analyst", reports: "*", export: true, deletePresets: false },
+      admin: { label: "Admin", reports: "*", export: true, deletePresets: true, audit: true }
+    },
+
+    // Role per user (demo username, OIDC email or subject); wins over the account / token role
+    users: {
+      // "someone@example.com": "analyst"
+    },
+
+    roleClaim: "roles",   // OIDC: ID token claim listing the user's roles (first configured one is used)
+    defaultRole: "viewer" // anyone without a known role; "" = no access
+  }
+};
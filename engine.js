@@ -0,0 +1,1655 @@
+/* Report data engine (shared by worker.js and the main-thread fallback in app.js)
+   - Pure data functions only: no DOM access, safe to importScripts() into a Web Worker
+   - File import (CSV / Excel / JSON / NDJSON), column index, filter matching, facet counting, pivot tables and sorting
+   - Snapshot diff (used on the page; snapshots live in IndexedDB)
+   - handleEngineMessage(): request/response protocol spoken by worker.js
+*/
+
+const FORCE_MULTI_COLUMNS = new Set(["model"]);
+const LOW_CARDINALITY_MAX = 30; // <= this many unique values => multi-select filter
+
+const PREVIEW_ROWS = 20;       // rows parsed for the import wizard preview
+const MAX_IMPORT_ISSUES = 500; // row-level issues kept per import (all are counted)
+
+// SheetJS is only pulled into the worker the first time a workbook is imported
+const XLSX_URL = "https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js";
+
+// ---------- Utilities ----------
+function normalizeValue(v) {
+  if (v === null || v === undefined) return "";
+  return String(v).trim();
+}
+function toLower(v) {
+  return normalizeValue(v).toLowerCase();
+}
+function deepClone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+function isForcedMulti(col) {
+  return FORCE_MULTI_COLUMNS.has(normalizeValue(col).toLowerCase());
+}
+
+// ---------- Column types ----------
+// Values stay strings in rows; a column's type only changes how it is compared and filtered.
+const COLUMN_TYPES = ["text", "number", "date", "boolean"];
+const TYPE_SAMPLE_SIZE = 500;
+
+const BOOLEAN_WORDS = new Map([
+  ["true", true], ["false", false], ["yes", true], ["no", false], ["y", true], ["n", false]
+]);
+
+// "1,234.50", "$12", "-3", "45%" -> number
+const NUMBER_RE = /^[-+]?[$€£¥]?\s*(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?%?$/;
+
+function parseNumberValue(v) {
+  const s = normalizeValue(v);
+  if (!s || !/\d/.test(s) || !NUMBER_RE.test(s)) return null;
+  const n = Number(s.replace(/[$€£¥,%\s]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+function makeDate(y, mo, d, h = 0, mi = 0, sec = 0) {
+  if (y < 100) y += y < 70 ? 2000 : 1900;
+  const dt = new Date(y, mo - 1, d, h, mi, sec);
+  // reject rollovers such as 2026-02-31
+  if (dt.getFullYear() !== y || dt.getMonth() !== mo - 1 || dt.getDate() !== d) return null;
+  return dt.getTime();
+}
+
+// ISO (2026-03-01[ 10:30]), US (3/1/2026, 3/1/26 9:05 pm), dotted (01.03.2026), or "Mar 1, 2026" -> epoch ms (local time)
+function parseDateValue(v) {
+  const s = normalizeValue(v);
+  if (!s) return null;
+
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?/.exec(s);
+  if (m) return makeDate(+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]m)?)?$/i.exec(s);
+  if (m) {
+    let h = +(m[4] || 0);
+    if (m[7] && /pm/i.test(m[7]) && h < 12) h += 12;
+    if (m[7] && /am/i.test(m[7]) && h === 12) h = 0;
+    return makeDate(+m[3], +m[1], +m[2], h, +(m[5] || 0), +(m[6] || 0));
+  }
+
+  m = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(s);
+  if (m) return makeDate(+m[3], +m[2], +m[1]);
+
+  if (/[a-z]{3}/i.test(s) && /\d{4}/.test(s)) {
+    const t = Date.parse(s);
+    return Number.isFinite(t) ? t : null;
+  }
+  return null;
+}
+
+function parseBooleanValue(v) {
+  const b = BOOLEAN_WORDS.get(toLower(v));
+  return b === undefined ? null : b;
+}
+
+function valueMatchesType(v, type) {
+  if (!normalizeValue(v) || type === "text") return true;
+  if (type === "number") return parseNumberValue(v) !== null;
+  if (type === "date") return parseDateValue(v) !== null;
+  if (type === "boolean") return parseBooleanValue(v) !== null;
+  return true;
+}
+
+// First type (number, boolean, date) every sampled non-blank value fits; otherwise text
+function inferColumnType(rows, col) {
+  const sample = [];
+  for (let i = 0; i < rows.length && sample.length < TYPE_SAMPLE_SIZE; i++) {
+    const v = normalizeValue(rows[i][col]);
+    if (v) sample.push(v);
+  }
+  if (!sample.length) return "text";
+
+  for (const type of ["number", "boolean", "date"]) {
+    if (sample.every(v => valueMatchesType(v, type))) return type;
+  }
+  return "text";
+}
+
+// `overrides` (column -> type) wins over inference
+function inferColumnTypes(columns, rows, overrides = {}) {
+  const types = {};
+  for (const col of columns) {
+    const forced = overrides?.[col];
+    types[col] = COLUMN_TYPES.includes(forced) ? forced : inferColumnType(rows, col);
+  }
+  return types;
+}
+
+// One summary issue per column whose values do not fit its chosen type
+function typeIssues(columns, rows, types) {
+  const issues = [];
+  for (const col of columns) {
+    const type = types[col];
+    if (type === "text") continue;
+    let bad = 0;
+    let example = "";
+    for (const r of rows) {
+      if (valueMatchesType(r[col], type)) continue;
+      if (!bad) example = normalizeValue(r[col]);
+      bad++;
+    }
+    if (bad) issues.push({ row: null, message: `${col}: ${bad} value(s) are not a valid ${type} (e.g. "${example}").` });
+  }
+  return issues;
+}
+
+// ---------- Parsing ----------
+// Every importer ends in the same shape: { columns: string[], rows: [{ [column]: string }] }
+// plus optional { issues: [{ row, message }], issueCount, delimiter }.
+// Shared options: preview (row limit), encoding, skipLines (banner lines above the header).
+function normalizeParsedRows(data, fields) {
+  let columns = (fields || []).filter(Boolean);
+  if (!columns.length && data.length) columns = Object.keys(data[0]);
+
+  const rows = data.map((r) => {
+    const obj = {};
+    for (const c of columns) obj[c] = (c in r) ? r[c] : "";
+    return obj;
+  });
+
+  return { columns, rows };
+}
+
+function cellText(v) {
+  if (v === null || v === undefined) return "";
+  return String(v);
+}
+
+// Header row -> unique, non-empty column names (duplicates get Papa-style "_1" suffixes)
+function uniqueHeaders(header) {
+  const seen = new Map();
+  return header.map((h, i) => {
+    const base = normalizeValue(h) || `Column ${i + 1}`;
+    const n = seen.get(base) || 0;
+    seen.set(base, n + 1);
+    return n ? `${base}_${n}` : base;
+  });
+}
+
+// Array-of-arrays (first row = header) -> columns/rows
+function tableFromArrays(aoa) {
+  if (!aoa.length) return { columns: [], rows: [] };
+
+  const width = Math.max(...aoa.map(r => r.length));
+  const header = uniqueHeaders(Array.from({ length: width }, (_, i) => aoa[0][i]));
+
+  const rows = aoa.slice(1).map((r) => {
+    const obj = {};
+    header.forEach((c, i) => { obj[c] = cellText(r[i]); });
+    return obj;
+  });
+
+  return { columns: header, rows };
+}
+
+// Nested objects become dotted columns ("location.name"); arrays of scalars are joined
+function flattenRecord(rec, prefix = "", out = {}) {
+  for (const [k, v] of Object.entries(rec)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === "object" && !Array.isArray(v)) flattenRecord(v, key, out);
+    else if (Array.isArray(v)) out[key] = v.every(x => x === null || typeof x !== "object") ? v.map(cellText).join(", ") : JSON.stringify(v);
+    else out[key] = cellText(v);
+  }
+  return out;
+}
+
+// Array of records -> columns/rows (columns are the union of keys, in first-seen order)
+function tableFromRecords(records) {
+  const columns = [];
+  const seen = new Set();
+
+  const flat = records.map((rec) => {
+    const obj = (rec && typeof rec === "object" && !Array.isArray(rec)) ? flattenRecord(rec) : { value: cellText(rec) };
+    for (const k of Object.keys(obj)) {
+      if (!seen.has(k)) { seen.add(k); columns.push(k); }
+    }
+    return obj;
+  });
+
+  return normalizeParsedRows(flat, columns);
+}
+
+// Text with the first `n` lines removed (original line endings kept)
+function dropLeadingLines(text, n) {
+  const re = /\r\n|\n|\r/g;
+  let pos = 0;
+  for (let i = 0; i < n; i++) {
+    re.lastIndex = pos;
+    const m = re.exec(text);
+    if (!m) return "";
+    pos = m.index + m[0].length;
+  }
+  return text.slice(pos);
+}
+
+async function readFileText(file, encoding) {
+  if (!encoding || /^utf-?8$/i.test(encoding)) return file.text();
+  return new TextDecoder(encoding).decode(await file.arrayBuffer());
+}
+
+// Papa's row-level errors (bad quotes, too few/many fields) are kept as issues rather than dropped
+function parseCsvFile(file, options, { onProgress, onComplete, onError }) {
+  const data = [];
+  const issues = [];
+  let issueCount = 0;
+  let fields = [];
+  let delimiter = "";
+
+  const collect = (results) => {
+    const offset = data.length;
+    for (const r of results.data) data.push(r);
+    if (!fields.length && results.meta?.fields) fields = results.meta.fields;
+    if (!delimiter && results.meta?.delimiter) delimiter = results.meta.delimiter;
+    for (const e of results.errors || []) {
+      issueCount++;
+      if (issues.length < MAX_IMPORT_ISSUES) {
+        issues.push({ row: Number.isInteger(e.row) ? offset + e.row + 1 : null, message: e.message });
+      }
+    }
+  };
+  // Papa calls back asynchronously, so errors are caught here like the other importers do
+  const finish = (results) => {
+    try {
+      if (results) collect(results);
+      onComplete({ ...normalizeParsedRows(data, fields), issues, issueCount, delimiter });
+    } catch (err) {
+      onError(err);
+    }
+  };
+
+  const config = {
+    header: true,
+    skipEmptyLines: true,
+    dynamicTyping: false,
+    delimiter: options.delimiter || "",
+    encoding: options.encoding || "",
+    beforeFirstChunk: options.skipLines ? (chunk) => dropLeadingLines(chunk, options.skipLines) : undefined,
+    error: (err) => onError(err)
+  };
+
+  if (options.preview) {
+    Papa.parse(file, {
+      ...config,
+      preview: options.preview,
+      complete: (results) => finish(results)
+    });
+    return;
+  }
+
+  Papa.parse(file, {
+    ...config,
+    chunk: (results) => {
+      collect(results);
+      if (file.size) onProgress(Math.min(1, (results.meta?.cursor || 0) / file.size));
+    },
+    complete: () => finish()
+  });
+}
+
+// JSON: an array of records, or an object holding one (e.g. { "data": [...] })
+async function parseJsonFile(file, options, { onProgress, onComplete, onError }) {
+  try {
+    const data = JSON.parse(await readFileText(file, options.encoding));
+    onProgress(0.5);
+
+    const records = Array.isArray(data)
+      ? data
+      : Object.values(data || {}).find(v => Array.isArray(v) && v.some(x => x && typeof x === "object"));
+    if (!records) throw new Error("JSON must be an array of records, or an object containing one.");
+
+    onComplete(tableFromRecords(options.preview ? records.slice(0, options.preview) : records));
+  } catch (err) {
+    onError(err);
+  }
+}
+
+// NDJSON / JSON Lines: one record per line
+async function parseNdjsonFile(file, options, { onProgress, onComplete, onError }) {
+  try {
+    const lines = (await readFileText(file, options.encoding)).split(/\r?\n/);
+    const records = [];
+    for (let i = 0; i < lines.length; i++) {
+      if (options.preview && records.length >= options.preview) break;
+      const line = lines[i].trim();
+      if (!line) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (err) {
+        throw new Error(`Line ${i + 1}: ${err.message}`);
+      }
+      if (i % 5000 === 0) onProgress((i / lines.length) * 0.9);
+    }
+    onComplete(tableFromRecords(records));
+  } catch (err) {
+    onError(err);
+  }
+}
+
+function ensureXlsx() {
+  if (typeof XLSX === "undefined" && typeof importScripts === "function") importScripts(XLSX_URL);
+  if (typeof XLSX === "undefined") throw new Error("Excel support (SheetJS) failed to load.");
+}
+
+// The last workbook read is kept so choosing a sheet does not re-read the file
+const workbookCache = { key: null, wb: null };
+
+function readWorkbook(file, buffer) {
+  const key = `${file.name}|${file.size}|${file.lastModified}`;
+  if (workbookCache.key !== key) {
+    workbookCache.key = key;
+    workbookCache.wb = XLSX.read(new Uint8Array(buffer), { type: "array", dense: true });
+  }
+  return workbookCache.wb;
+}
+
+// Excel: multi-sheet workbooks resolve with { sheets } until options.sheet names one
+async function parseWorkbookFile(file, options, { onProgress, onComplete, onError }) {
+  try {
+    ensureXlsx();
+    onProgress(0.1);
+    const wb = readWorkbook(file, await file.arrayBuffer());
+    onProgress(0.5);
+
+    const names = wb.SheetNames || [];
+    if (!names.length) throw new Error("Workbook has no sheets.");
+
+    if (!options.sheet && names.length > 1) {
+      onComplete({
+        sheets: names.map((name) => {
+          const ref = wb.Sheets[name]?.["!ref"];
+          return { name, rows: ref ? Math.max(0, XLSX.utils.decode_range(ref).e.r) : 0 };
+        })
+      });
+      return;
+    }
+
+    const ws = wb.Sheets[options.sheet || names[0]];
+    if (!ws) throw new Error(`Sheet not found: ${options.sheet}`);
+
+    const aoa = XLSX.utils.sheet_to_json(ws, { header: 1, raw: false, defval: "", blankrows: false })
+      .slice(options.skipLines || 0);
+    onComplete(tableFromArrays(options.preview ? aoa.slice(0, options.preview + 1) : aoa));
+  } catch (err) {
+    onError(err);
+  }
+}
+
+// ---------- Importers ----------
+/* { id, label, extensions, mimeTypes, settings, parse(file, options, { onProgress, onComplete, onError }) }
+   `settings` lists the import-wizard options the importer honours (delimiter / encoding / skipLines).
+   The first registered importer (CSV) is the fallback for unrecognized files. */
+const IMPORTERS = [];
+
+function registerImporter(importer) {
+  IMPORTERS.push(importer);
+}
+
+function fileExtension(name) {
+  const m = /\.[^.]+$/.exec(normalizeValue(name).toLowerCase());
+  return m ? m[0] : "";
+}
+
+function detectImporter(file) {
+  const ext = fileExtension(file.name);
+  return IMPORTERS.find(i => i.extensions.includes(ext))
+    || IMPORTERS.find(i => i.mimeTypes.includes(file.type))
+    || IMPORTERS[0];
+}
+
+function acceptedFileTypes() {
+  return IMPORTERS.flatMap(i => [...i.extensions, ...i.mimeTypes]).join(",");
+}
+
+registerImporter({
+  id: "csv", label: "CSV",
+  extensions: [".csv", ".tsv", ".txt"], mimeTypes: ["text/csv"],
+  settings: ["delimiter", "encoding", "skipLines"],
+  parse: parseCsvFile
+});
+registerImporter({
+  id: "excel", label: "Excel",
+  extensions: [".xlsx", ".xls"],
+  mimeTypes: ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", "application/vnd.ms-excel"],
+  settings: ["skipLines"],
+  parse: parseWorkbookFile
+});
+registerImporter({
+  id: "json", label: "JSON",
+  extensions: [".json"], mimeTypes: ["application/json"],
+  settings: ["encoding"],
+  parse: parseJsonFile
+});
+registerImporter({
+  id: "ndjson", label: "NDJSON",
+  extensions: [".ndjson", ".jsonl"], mimeTypes: ["application/x-ndjson"],
+  settings: ["encoding"],
+  parse: parseNdjsonFile
+});
+
+// ---------- Row sets ----------
+// Fixed-size bitset over row ids (0..size-1)
+class RowSet {
+  constructor(size) {
+    this.size = size;
+    this.words = new Uint32Array((size + 31) >>> 5);
+  }
+
+  static all(size) {
+    const set = new RowSet(size);
+    set.words.fill(0xffffffff);
+    const extra = set.words.length * 32 - size;
+    if (extra) set.words[set.words.length - 1] = 0xffffffff >>> extra;
+    return set;
+  }
+
+  add(i) {
+    this.words[i >>> 5] |= (1 << (i & 31));
+  }
+
+  addIds(ids) {
+    for (let k = 0; k < ids.length; k++) this.add(ids[k]);
+    return this;
+  }
+
+  has(i) {
+    return (this.words[i >>> 5] & (1 << (i & 31))) !== 0;
+  }
+
+  andWith(other) {
+    const w = this.words, o = other.words;
+    for (let k = 0; k < w.length; k++) w[k] &= o[k];
+    return this;
+  }
+
+  orWith(other) {
+    const w = this.words, o = other.words;
+    for (let k = 0; k < w.length; k++) w[k] |= o[k];
+    return this;
+  }
+
+  invert() {
+    const w = this.words;
+    for (let k = 0; k < w.length; k++) w[k] = ~w[k];
+    const extra = w.length * 32 - this.size;
+    if (extra) w[w.length - 1] &= 0xffffffff >>> extra;
+    return this;
+  }
+
+  clone() {
+    const set = new RowSet(this.size);
+    set.words.set(this.words);
+    return set;
+  }
+
+  forEach(fn) {
+    const w = this.words;
+    for (let k = 0; k < w.length; k++) {
+      let word = w[k];
+      while (word) {
+        const bit = word & -word;
+        fn((k << 5) + (31 - Math.clz32(bit)));
+        word ^= bit;
+      }
+    }
+  }
+
+  count() {
+    let n = 0;
+    const w = this.words;
+    for (let k = 0; k < w.length; k++) {
+      let v = w[k];
+      v = v - ((v >>> 1) & 0x55555555);
+      v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+      n += (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+    }
+    return n;
+  }
+
+  toIds() {
+    const ids = new Int32Array(this.count());
+    let n = 0;
+    this.forEach((i) => { ids[n++] = i; });
+    return ids;
+  }
+}
+
+// ---------- Column index ----------
+/* Built once per dataset. For every column:
+     values   distinct normalized values (code = position)
+     lower    lowercased values, for "contains" matching
+     codeOf   value -> code
+     codes    Int32Array, row id -> value code
+     postings per code, the sorted row ids holding that value
+     distinct number of non-blank values
+   Filters are evaluated once per distinct value and then expanded through postings,
+   so Apply/facets cost O(rows) per active filter instead of O(rows x columns) per column.
+*/
+function buildColumnIndex(rows, columns, progress = () => {}) {
+  const index = new Map();
+
+  columns.forEach((col, n) => {
+    progress("index", n / (columns.length || 1));
+
+    const codeOf = new Map();
+    const values = [];
+    const codes = new Int32Array(rows.length);
+
+    for (let i = 0; i < rows.length; i++) {
+      const v = normalizeValue(rows[i][col]);
+      let code = codeOf.get(v);
+      if (code === undefined) {
+        code = values.length;
+        codeOf.set(v, code);
+        values.push(v);
+      }
+      codes[i] = code;
+    }
+
+    const sizes = new Int32Array(values.length);
+    for (let i = 0; i < codes.length; i++) sizes[codes[i]]++;
+    const postings = values.map((_, code) => new Int32Array(sizes[code]));
+    const fill = new Int32Array(values.length);
+    for (let i = 0; i < codes.length; i++) {
+      const code = codes[i];
+      postings[code][fill[code]++] = i;
+    }
+
+    const distinct = values.length - (codeOf.has("") ? 1 : 0);
+    index.set(col, { values, lower: values.map(v => v.toLowerCase()), codeOf, codes, postings, distinct, rank: null });
+  });
+
+  return index;
+}
+
+// Rows whose value in this column satisfies `test(value, lowerValue)`
+function rowSetWhere(entry, size, test) {
+  const set = new RowSet(size);
+  for (let code = 0; code < entry.values.length; code++) {
+    if (test(entry.values[code], entry.lower[code])) set.addIds(entry.postings[code]);
+  }
+  return set;
+}
+
+// ---------- Fuzzy matching ----------
+/* Token based and typo tolerant: every token of the query must occur somewhere in the value,
+   ignoring case, spaces and punctuation ("lat 5440", "latitude5440" and "Lattitude 5440" all match
+   "Latitude 5440"), allowing FUZZY_TOLERANCE edits per token by length. */
+const FUZZY_TOLERANCE = [[3, 0], [6, 1], [Infinity, 2]]; // token length up to -> edits allowed
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+function fuzzyTolerance(len) {
+  return FUZZY_TOLERANCE.find(([max]) => len <= max)[1];
+}
+
+function fuzzyTokens(q) {
+  return toLower(q).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Lowercased letters/digits only (what fuzzy matching compares)
+function compactKey(v) {
+  return toLower(v).replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+// compactKey() plus each kept character's index in the original string, for highlighting
+function compactText(v) {
+  const src = normalizeValue(v);
+  let text = "";
+  const map = [];
+  for (let i = 0; i < src.length; i++) {
+    if (!WORD_CHAR.test(src[i])) continue;
+    text += src[i].toLowerCase();
+    map.push(i);
+  }
+  return { text, map };
+}
+
+// Closest occurrence of `pattern` anywhere in `text` within `max` edits: { start, end, cost } or null
+function approxFind(pattern, text, max) {
+  const exact = text.indexOf(pattern);
+  if (exact >= 0) return { start: exact, end: exact + pattern.length, cost: 0 };
+  if (!max) return null;
+
+  // with at most `max` edits, one of `max + 1` slices of the pattern survives intact
+  const m = pattern.length;
+  const piece = Math.floor(m / (max + 1));
+  let possible = false;
+  for (let p = 0; p <= max && !possible; p++) {
+    possible = text.includes(pattern.slice(p * piece, p === max ? m : (p + 1) * piece));
+  }
+  if (!possible) return null;
+
+  let prev = new Int32Array(m + 1), cur = new Int32Array(m + 1);
+  let prevStart = new Int32Array(m + 1), curStart = new Int32Array(m + 1);
+  for (let i = 0; i <= m; i++) prev[i] = i;
+
+  let best = null;
+  for (let j = 1; j <= text.length; j++) {
+    cur[0] = 0;
+    curStart[0] = j;
+    for (let i = 1; i <= m; i++) {
+      const sub = prev[i - 1] + (pattern[i - 1] === text[j - 1] ? 0 : 1);
+      const skipText = prev[i] + 1;
+      const skipPattern = cur[i - 1] + 1;
+      if (sub <= skipText && sub <= skipPattern) { cur[i] = sub; curStart[i] = prevStart[i - 1]; }
+      else if (skipText <= skipPattern) { cur[i] = skipText; curStart[i] = prevStart[i]; }
+      else { cur[i] = skipPattern; curStart[i] = curStart[i - 1]; }
+    }
+    // lowest cost wins; an equal cost from the same start extends the match ("macbok" -> "macbook")
+    const better = !best || cur[m] < best.cost || (cur[m] === best.cost && curStart[m] === best.start);
+    if (cur[m] <= max && better) best = { start: curStart[m], end: j, cost: cur[m] };
+    [prev, cur] = [cur, prev];
+    [prevStart, curStart] = [curStart, prevStart];
+  }
+  return best;
+}
+
+// Whether every query token occurs in `key` (a compactKey()), for filtering
+function fuzzyHits(tokens, key) {
+  if (!tokens.length) return false;
+  for (const token of tokens) {
+    if (!approxFind(token, key, fuzzyTolerance(token.length))) return false;
+  }
+  return true;
+}
+
+// Matched [start, end) ranges of the original value, or null when a token is missing
+function fuzzyMatch(query, value) {
+  const tokens = fuzzyTokens(query);
+  if (!tokens.length) return null;
+
+  const { text, map } = compactText(value);
+  const ranges = [];
+  for (const token of tokens) {
+    const hit = approxFind(token, text, fuzzyTolerance(token.length));
+    if (!hit) return null;
+    if (hit.end > hit.start) ranges.push([map[hit.start], map[hit.end - 1] + 1]);
+  }
+  return mergeRanges(ranges);
+}
+
+// Every case-insensitive occurrence of `query`, or the fuzzy match ranges
+function textMatchRanges(value, query, fuzzy = false) {
+  const q = toLower(query);
+  if (!q) return [];
+  if (fuzzy) return fuzzyMatch(q, value) || [];
+
+  const lower = toLower(value);
+  const ranges = [];
+  for (let at = lower.indexOf(q); at >= 0; at = lower.indexOf(q, at + q.length)) ranges.push([at, at + q.length]);
+  return ranges;
+}
+
+function mergeRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+  const out = [];
+  for (const r of sorted) {
+    const last = out[out.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else out.push([r[0], r[1]]);
+  }
+  return out;
+}
+
+// ---------- Filter conditions ----------
+/* A column filter is { op, value, value2 } (plus the UI-only `collapsed`):
+     in, notIn                            value: selected values (multi-select)
+     contains, equals, notEquals,
+     startsWith, regex                    value: text
+     between                              value: min / from, value2: max / to (either may be blank)
+     greater, less                        value: number
+     before, after                        value: date
+     last                                 value: count, value2: unit (RELATIVE_UNITS)
+     blank, notBlank                      no value
+     fuzzy                                value: text (search box in fuzzy mode, see fuzzyMatch)
+     sameAs, differentFrom,
+     greaterThan, lessThan                value: another column (rules only, compared row by row)
+   Comparisons follow the column type: numbers numerically, dates by calendar day,
+   text case-insensitively. Older states stored { type: "multi" | "text", value } instead of an op.
+*/
+const FILTER_OPS = {
+  in:         { label: "Is any of",     arity: "list" },
+  notIn:      { label: "Is none of",    arity: "list" },
+  contains:   { label: "Contains",      arity: 1 },
+  equals:     { label: "Equals",        arity: 1 },
+  notEquals:  { label: "Not equal to",  arity: 1 },
+  startsWith: { label: "Starts with",   arity: 1 },
+  regex:      { label: "Matches regex", arity: 1 },
+  between:    { label: "Between",       arity: 2 },
+  greater:    { label: "Greater than",  arity: 1 },
+  less:       { label: "Less than",     arity: 1 },
+  before:     { label: "Before",        arity: 1 },
+  after:      { label: "After",         arity: 1 },
+  last:       { label: "In the last",   arity: 2 },
+  blank:      { label: "Is blank",      arity: 0 },
+  notBlank:   { label: "Is not blank",  arity: 0 },
+  fuzzy:      { label: "Fuzzy matches", arity: 1 },
+  sameAs:        { label: "Same as column",       arity: "column" },
+  differentFrom: { label: "Different from column", arity: "column" },
+  greaterThan:   { label: "Greater than column",  arity: "column" },
+  lessThan:      { label: "Less than column",     arity: "column" }
+};
+
+const FILTER_OPS_BY_TYPE = {
+  text:    ["in", "notIn", "contains", "equals", "notEquals", "startsWith", "regex", "blank", "notBlank"],
+  number:  ["in", "notIn", "between", "greater", "less", "equals", "notEquals", "blank", "notBlank"],
+  date:    ["in", "notIn", "between", "before", "after", "last", "equals", "notEquals", "blank", "notBlank"],
+  boolean: ["in", "notIn", "equals", "notEquals", "blank", "notBlank"]
+};
+const COLUMN_COMPARE_OPS = ["sameAs", "differentFrom", "greaterThan", "lessThan"];
+
+function isListOp(op) {
+  return FILTER_OPS[op]?.arity === "list";
+}
+
+const RELATIVE_UNITS = ["days", "weeks", "months", "years"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function filterOp(f) {
+  if (f?.op && FILTER_OPS[f.op]) return f.op;
+  return f?.type === "multi" || Array.isArray(f?.value) ? "in" : "contains";
+}
+
+function emptyFilter(op) {
+  return { op, value: isListOp(op) ? [] : "", value2: op === "last" ? "days" : "" };
+}
+
+function filterIsActive(f) {
+  if (!f) return false;
+  const op = filterOp(f);
+  if (isListOp(op)) return Array.isArray(f.value) && f.value.length > 0;
+  if (op === "blank" || op === "notBlank") return true;
+  if (op === "between") return !!(normalizeValue(f.value) || normalizeValue(f.value2));
+  if (op === "last") return Number(f.value) > 0;
+  return !!normalizeValue(f.value);
+}
+
+function startOfDay(ms) {
+  const d = new Date(ms);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+}
+function endOfDay(ms) {
+  const d = new Date(ms);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1).getTime() - 1;
+}
+
+// Start of the "last N units" window ending today
+function relativeStart(now, count, unit) {
+  const d = new Date(startOfDay(now));
+  if (unit === "weeks") d.setDate(d.getDate() - 7 * count);
+  else if (unit === "months") d.setMonth(d.getMonth() - count);
+  else if (unit === "years") d.setFullYear(d.getFullYear() - count);
+  else d.setDate(d.getDate() - count);
+  return d.getTime();
+}
+
+// Parsed form of a cell for typed comparisons (null when it does not fit the type)
+function typedKey(v, type) {
+  if (type === "number") return parseNumberValue(v);
+  if (type === "date") { const t = parseDateValue(v); return t === null ? null : startOfDay(t); }
+  if (type === "boolean") return parseBooleanValue(v);
+  return toLower(v);
+}
+
+// Predicate (value, lowerValue) -> boolean for one active, non-list column filter.
+// Throws for input that cannot be evaluated (e.g. a malformed regex).
+function conditionTest(col, f, type, now = Date.now()) {
+  const op = filterOp(f);
+  const q = normalizeValue(f.value);
+  const ql = q.toLowerCase();
+
+  switch (op) {
+    case "contains":   return (v, lower) => lower.includes(ql);
+    case "fuzzy": {
+      const tokens = fuzzyTokens(q);
+      return (v) => fuzzyHits(tokens, compactKey(v));
+    }
+    case "startsWith": return (v, lower) => lower.startsWith(ql);
+    case "blank":      return (v) => !v;
+    case "notBlank":   return (v) => !!v;
+
+    case "regex": {
+      let re;
+      try {
+        re = new RegExp(q, "i");
+      } catch {
+        throw new Error(`${col}: "${q}" is not a valid regular expression.`);
+      }
+      return (v) => re.test(v);
+    }
+
+    case "equals":
+    case "notEquals": {
+      const want = typedKey(q, type);
+      const same = want === null ? (v, lower) => lower === ql : (v) => typedKey(v, type) === want;
+      return op === "equals" ? same : (v, lower) => !same(v, lower);
+    }
+
+    case "between": {
+      const parse = type === "date" ? parseDateValue : parseNumberValue;
+      const bound = (raw) => {
+        const text = normalizeValue(raw);
+        if (!text) return null;
+        const x = parse(text);
+        if (x === null) throw new Error(`${col}: "${text}" is not ${type === "date" ? "a valid date" : "a number"}.`);
+        return x;
+      };
+      let min = bound(f.value);
+      let max = bound(f.value2);
+      if (type === "date") {
+        if (min !== null) min = startOfDay(min);
+        if (max !== null) max = endOfDay(max);
+      }
+      return (v) => {
+        const x = parse(v);
+        return x !== null && (min === null || x >= min) && (max === null || x <= max);
+      };
+    }
+
+    case "greater":
+    case "less": {
+      const bound = parseNumberValue(f.value);
+      if (bound === null) throw new Error(`${col}: "${q}" is not a number.`);
+      return (v) => {
+        const x = parseNumberValue(v);
+        return x !== null && (op === "greater" ? x > bound : x < bound);
+      };
+    }
+
+    case "before":
+    case "after": {
+      const at = parseDateValue(f.value);
+      if (at === null) throw new Error(`${col}: "${q}" is not a valid date.`);
+      const bound = op === "before" ? startOfDay(at) : endOfDay(at);
+      return (v) => {
+        const t = parseDateValue(v);
+        return t !== null && (op === "before" ? t < bound : t > bound);
+      };
+    }
+
+    case "last": {
+      const from = relativeStart(now, Number(f.value), RELATIVE_UNITS.includes(f.value2) ? f.value2 : "days");
+      const to = endOfDay(now);
+      return (v) => {
+        const t = parseDateValue(v);
+        return t !== null && t >= from && t <= to;
+      };
+    }
+  }
+  throw new Error(`${col}: unsupported filter "${op}".`);
+}
+
+// Rows where any column contains (or fuzzy matches) `q` (global search terms)
+function anyColumnSet(ctx, q, fuzzy) {
+  const set = new RowSet(ctx.rows.length);
+  const ql = toLower(q);
+  const tokens = fuzzy ? fuzzyTokens(ql) : null;
+  for (const col of ctx.columns) {
+    const entry = ctx.index.get(col);
+    if (fuzzy && !entry.compact) entry.compact = entry.values.map(compactKey); // kept for later fuzzy searches
+    for (let code = 0; code < entry.values.length; code++) {
+      const hit = fuzzy ? fuzzyHits(tokens, entry.compact[code]) : entry.lower[code].includes(ql);
+      if (hit) set.addIds(entry.postings[code]);
+    }
+  }
+  return set;
+}
+
+// Rows where `col` satisfies the (active) filter `f`; a null `col` means "any column contains"
+function conditionSet(ctx, col, f, now) {
+  if (col === null) return anyColumnSet(ctx, f.value, filterOp(f) === "fuzzy");
+
+  const size = ctx.rows.length;
+  const entry = ctx.index.get(col);
+  const op = filterOp(f);
+
+  if (isListOp(op)) {
+    const set = new RowSet(size);
+    for (const v of f.value) {
+      const code = entry.codeOf.get(v);
+      if (code !== undefined) set.addIds(entry.postings[code]);
+    }
+    return op === "notIn" ? set.invert() : set;
+  }
+
+  if (COLUMN_COMPARE_OPS.includes(op)) return columnCompareSet(ctx, col, f.value, op);
+
+  return rowSetWhere(entry, size, conditionTest(col, f, ctx.types[col] || "text", now));
+}
+
+// Row-by-row comparison of two columns, both read as the left column's type.
+// Values that do not fit the type never compare equal, greater or less.
+function columnCompareSet(ctx, col, other, op) {
+  const size = ctx.rows.length;
+  const a = ctx.index.get(col);
+  const b = ctx.index.get(other);
+  const type = ctx.types[col] || "text";
+  const keysA = a.values.map(v => typedKey(v, type));
+  const keysB = b.values.map(v => typedKey(v, type));
+
+  const cmp = (x, y) => (typeof x === "string" ? compareSortValues(x, y) : x - y);
+  const test = {
+    sameAs:        (x, y) => x !== null && y !== null && cmp(x, y) === 0,
+    differentFrom: (x, y) => !(x !== null && y !== null && cmp(x, y) === 0),
+    greaterThan:   (x, y) => x !== null && y !== null && cmp(x, y) > 0,
+    lessThan:      (x, y) => x !== null && y !== null && cmp(x, y) < 0
+  }[op];
+
+  const set = new RowSet(size);
+  for (let i = 0; i < size; i++) {
+    if (test(keysA[a.codes[i]], keysB[b.codes[i]])) set.add(i);
+  }
+  return set;
+}
+
+// ---------- Rules ----------
+/* Boolean expression applied on top of the column filters:
+     group      { logic: "and" | "or", negate, items: [group | condition] }
+     condition  { col, op, value, value2 }   (same ops as column filters, plus column comparisons;
+                                             col null = any column contains `value`, from the search box)
+   Conditions that are empty or name a column missing from the dataset are ignored, as are empty groups.
+*/
+function emptyRuleGroup() {
+  return { logic: "and", negate: false, items: [] };
+}
+
+function isRuleGroup(node) {
+  return !!node && Array.isArray(node.items);
+}
+
+function ruleConditionIsActive(ctx, node) {
+  if (node.col === null) return filterIsActive(node);
+  if (!ctx.index.has(node.col) || !filterIsActive(node)) return false;
+  return !COLUMN_COMPARE_OPS.includes(filterOp(node)) || ctx.index.has(node.value);
+}
+
+// RowSet for a rule node, or null when nothing in it is active
+function evaluateRule(ctx, node, now) {
+  if (!isRuleGroup(node)) {
+    return ruleConditionIsActive(ctx, node) ? conditionSet(ctx, node.col, node, now) : null;
+  }
+
+  let set = null;
+  for (const child of node.items) {
+    const part = evaluateRule(ctx, child, now);
+    if (!part) continue;
+    if (!set) set = part;
+    else if (node.logic === "or") set.orWith(part);
+    else set.andWith(part);
+  }
+  if (set && node.negate) set.invert();
+  return set;
+}
+
+// ---------- Search syntax ----------
+/* The search box accepts, separated by spaces (all must match):
+     word / "exact phrase"     any column contains it
+     field:value               text columns contain value; typed columns equal it
+     field:"value"             equals;  field:"" is blank
+     field>n  field>=n  field<n  field<=n  field=value
+     -term                     negates any of the above
+   `field` is a column name, matched ignoring case, spaces and punctuation (quote it if it contains
+   an operator). A prefix that is not a column (Note: x, https://…) makes the whole token a "contains"
+   term, noted in `hints`. Terms that cannot be used are reported in `errors` and searched as their raw
+   text, so a mistake never widens the results. With { fuzzy: true } the "contains" terms become fuzzy matches.
+*/
+const SEARCH_OPERATORS = [">=", "<=", ":", "=", ">", "<"];
+
+function columnKey(name) {
+  return toLower(name).replace(/[^a-z0-9]/g, "");
+}
+
+// Reads a bare or quoted atom at `i`; bare atoms stop at whitespace (and at operators when `field`)
+function readSearchAtom(text, i, field) {
+  if (text[i] === '"') {
+    let value = "";
+    let j = i + 1;
+    while (j < text.length && text[j] !== '"') {
+      if (text[j] === "\\" && j + 1 < text.length) j++;
+      value += text[j++];
+    }
+    const closed = j < text.length;
+    return { value, quoted: true, closed, end: closed ? j + 1 : j };
+  }
+  let j = i;
+  while (j < text.length && !/\s/.test(text[j]) && !(field && /[:<>=]/.test(text[j]))) j++;
+  return { value: text.slice(i, j), quoted: false, closed: true, end: j };
+}
+
+// Condition for a `field <op> value` term, or an error message
+function searchFieldCondition(col, type, op, atom, contains) {
+  const value = atom.value;
+  const numeric = type === "number";
+  const dated = type === "date";
+
+  if (op === ":" || op === "=") {
+    if (atom.quoted && !value) return { col, ...emptyFilter("blank") };
+    const partial = op === ":" && !atom.quoted && type === "text";
+    return { col, op: partial ? contains : "equals", value, value2: "" };
+  }
+
+  if (!numeric && !dated) return `${col} is a ${type} column; ${op} needs a number or date column.`;
+  if (numeric && parseNumberValue(value) === null) return `"${value}" is not a number (${col}).`;
+  if (dated && parseDateValue(value) === null) return `"${value}" is not a date (${col}).`;
+
+  if (op === ">=") return { col, op: "between", value, value2: "" };
+  if (op === "<=") return { col, op: "between", value: "", value2: value };
+  if (op === ">") return { col, op: numeric ? "greater" : "after", value, value2: "" };
+  return { col, op: numeric ? "less" : "before", value, value2: "" };
+}
+
+// -> { rules: rule group, terms: [{ start, end, negate, condition }], errors / hints: [{ start, end, message }] }
+function parseSearchQuery(text, columns = [], types = {}, { fuzzy = false } = {}) {
+  const src = String(text || "");
+  const contains = fuzzy ? "fuzzy" : "contains";
+  const byKey = new Map(columns.map(c => [columnKey(c), c]));
+  const terms = [];
+  const errors = [];
+  const hints = [];
+
+  let i = 0;
+  while (i < src.length) {
+    if (/\s/.test(src[i])) { i++; continue; }
+
+    const start = i;
+    const negate = src[i] === "-" && i + 1 < src.length && !/\s/.test(src[i + 1]);
+    if (negate) i++;
+
+    const head = readSearchAtom(src, i, true);
+    i = head.end;
+    const op = SEARCH_OPERATORS.find(o => src.startsWith(o, i));
+    let condition = null;
+    let message = head.closed ? "" : "Missing closing quote.";
+    let asText = false; // search the token as typed
+
+    if (op && (head.value || head.quoted)) {
+      const atom = readSearchAtom(src, i + op.length, false);
+      i = atom.end;
+      const col = byKey.get(columnKey(head.value));
+
+      if (!atom.closed) message = "Missing closing quote.";
+      else if (!col) {
+        asText = true;
+        if (!/^\d/.test(head.value)) hints.push({ start, end: i, message: `"${head.value}" is not a column, so this is searched as text.` }); // not 10:30, 5>3
+      } else if (!atom.value && !atom.quoted) message = `Missing value after ${head.value}${op}`;
+      else {
+        const out = searchFieldCondition(col, types[col] || "text", op, atom, contains);
+        if (typeof out === "string") message = out;
+        else condition = out;
+      }
+    } else {
+      if (op) i = readSearchAtom(src, i, false).end; // a stray operator: keep it in the word
+      const value = head.quoted ? head.value : src.slice(negate ? start + 1 : start, i);
+      if (value && !message) condition = { col: null, op: contains, value, value2: "" };
+    }
+
+    if (message) {
+      // the whole token, "-" included: an unusable term narrows the results instead of vanishing
+      errors.push({ start, end: i, message });
+      terms.push({ start, end: i, negate: false, condition: { col: null, op: contains, value: src.slice(start, i), value2: "" } });
+      continue;
+    }
+    if (asText) condition = { col: null, op: contains, value: src.slice(negate ? start + 1 : start, i), value2: "" };
+    if (condition) terms.push({ start, end: i, negate, condition });
+  }
+
+  const items = terms.map(t => (t.negate ? { logic: "and", negate: true, items: [t.condition] } : t.condition));
+  return { rules: { logic: "and", negate: false, items }, terms, errors, hints };
+}
+
+// ---------- Matching ----------
+// One RowSet per active constraint in the APPLIED state; `col` is null for the global search and rules
+function buildConstraints(ctx, state) {
+  const size = ctx.rows.length;
+  const constraints = [];
+  const now = Date.now();
+
+  const search = evaluateRule(ctx, parseSearchQuery(state.global, ctx.columns, ctx.types, { fuzzy: !!state.fuzzy }).rules, now);
+  if (search) constraints.push({ col: null, set: search });
+
+  for (const col of ctx.columns) {
+    const f = state.columns[col];
+    if (!filterIsActive(f)) continue;
+    constraints.push({ col, set: conditionSet(ctx, col, f, now) });
+  }
+
+  const rules = isRuleGroup(state.rules) ? evaluateRule(ctx, state.rules, now) : null;
+  if (rules) constraints.push({ col: null, set: rules });
+
+  return constraints;
+}
+
+function intersectConstraints(size, constraints, excludeCol = null) {
+  const set = RowSet.all(size);
+  for (const c of constraints) {
+    if (excludeCol && c.col === excludeCol) continue;
+    set.andWith(c.set);
+  }
+  return set;
+}
+
+// ---------- Facets ----------
+// Per-code counts of `entry` within `set` (null = every row)
+function countCodes(entry, set) {
+  if (!set) return Int32Array.from(entry.postings, p => p.length);
+  const counts = new Int32Array(entry.values.length);
+  set.forEach((i) => { counts[entry.codes[i]]++; });
+  return counts;
+}
+
+// `distinct` (whole column) picks the filter kind; high-cardinality columns only need their sizes,
+// so their value lists are not sent back to the page.
+function facetPayload(col, entry, counts) {
+  const present = [];
+  for (let code = 0; code < counts.length; code++) {
+    if (counts[code] && entry.values[code]) present.push([entry.values[code], counts[code]]);
+  }
+  const withValues = isForcedMulti(col) || entry.distinct <= LOW_CARDINALITY_MAX;
+  return { col, size: present.length, distinct: entry.distinct, counts: withValues ? present : [] };
+}
+
+// ---------- Aggregates ----------
+// Dashboard cards. Blank values are skipped; sum / avg / min / max use the values that parse as
+// numbers (timestamps for date columns, so only min / max are meaningful there).
+const AGGREGATES = {
+  count:  { label: "Count" },
+  unique: { label: "Unique count" },
+  sum:    { label: "Sum", numeric: true },
+  avg:    { label: "Average", numeric: true },
+  min:    { label: "Min", numeric: true },
+  max:    { label: "Max", numeric: true },
+};
+
+// Numeric value of every value code (null = blank / not a number), cached per column type
+function codeNumbers(entry, type) {
+  if (entry.numbers && entry.numbersType === type) return entry.numbers;
+  const parse = type === "date" ? parseDateValue : parseNumberValue;
+  entry.numbers = entry.values.map(v => (v ? parse(v) : null));
+  entry.numbersType = type;
+  return entry.numbers;
+}
+
+function emptyAccumulator() {
+  return { count: 0, unique: 0, n: 0, sum: 0, min: null, max: null };
+}
+
+// `weight` rows holding value `code`; each code is added once per accumulator
+function accumulate(acc, entry, numbers, code, weight) {
+  if (!weight || !entry.values[code]) return;
+  acc.count += weight;
+  acc.unique++;
+  const x = numbers[code];
+  if (x === null || !Number.isFinite(x)) return;
+  acc.n += weight;
+  acc.sum += x * weight;
+  if (acc.min === null || x < acc.min) acc.min = x;
+  if (acc.max === null || x > acc.max) acc.max = x;
+}
+
+function aggregateValue(acc, agg) {
+  if (agg === "count" || agg === "unique") return acc[agg];
+  if (!acc.n) return null;
+  return agg === "avg" ? acc.sum / acc.n : acc[agg];
+}
+
+// One dashboard card: { key, col, agg, measure?, top? }
+//   KPI (no `top`):  `agg` over `col` (no col: count = matching rows)        -> { key, value }
+//   breakdown:       groups of `col` (blank included as ""), each valued by
+//                    `agg` over `measure` (count = rows in the group)        -> { key, top: [[value, aggregate]] }
+// `set` is the matching rows (null = every row).
+function summaryPayload(ctx, spec, set) {
+  const { key, col, agg = "count", measure, top } = spec;
+  const entry = col ? ctx.index.get(col) : null;
+
+  if (top === undefined) {
+    if (!entry) return { key, value: agg === "count" && !col ? (set ? set.count() : ctx.rows.length) : null };
+    const numbers = AGGREGATES[agg]?.numeric ? codeNumbers(entry, ctx.types[col]) : entry.values;
+    const counts = countCodes(entry, set);
+    const acc = emptyAccumulator();
+    for (let code = 0; code < counts.length; code++) accumulate(acc, entry, numbers, code, counts[code]);
+    return { key, value: aggregateValue(acc, agg) };
+  }
+
+  if (!entry) return { key, top: [] };
+  const groupCounts = countCodes(entry, set);
+  let values;
+
+  const m = agg !== "count" && measure ? ctx.index.get(measure) : null;
+  if (!m) {
+    values = Array.from(groupCounts, c => (agg === "count" ? c : null));
+  } else {
+    // rows per (group, measure value) pair, then one accumulator per group
+    const pairs = new Map();
+    const width = m.values.length;
+    const addRow = (i) => {
+      const pair = entry.codes[i] * width + m.codes[i];
+      pairs.set(pair, (pairs.get(pair) || 0) + 1);
+    };
+    if (set) set.forEach(addRow);
+    else for (let i = 0; i < ctx.rows.length; i++) addRow(i);
+
+    const numbers = AGGREGATES[agg]?.numeric ? codeNumbers(m, ctx.types[measure]) : m.values;
+    const accs = new Map();
+    for (const [pair, weight] of pairs) {
+      const g = Math.floor(pair / width);
+      if (!accs.has(g)) accs.set(g, emptyAccumulator());
+      accumulate(accs.get(g), m, numbers, pair % width, weight);
+    }
+    values = Array.from(groupCounts, (c, g) => (accs.has(g) ? aggregateValue(accs.get(g), agg) : null));
+  }
+
+  const present = [];
+  for (let code = 0; code < groupCounts.length; code++) {
+    if (groupCounts[code]) present.push([entry.values[code], values[code], groupCounts[code]]);
+  }
+  present.sort((a, b) =>
+    (b[1] ?? -Infinity) - (a[1] ?? -Infinity) || b[2] - a[2] || a[0].localeCompare(b[0]));
+  return { key, top: present.slice(0, top).map(([value, aggregate]) => [value, aggregate]) };
+}
+
+// ---------- Sorting ----------
+function compareSortValues(av, bv) {
+  const an = Number(av);
+  const bn = Number(bv);
+  const aNum = Number.isFinite(an) && av !== "";
+  const bNum = Number.isFinite(bn) && bv !== "";
+
+  if (aNum && bNum) return an - bn;
+  return av.localeCompare(bv, undefined, { numeric: true, sensitivity: "base" });
+}
+
+// Sort stack: [{ col, dir }], most significant first. Older presets stored a single { col, dir }.
+function normalizeSortState(sort) {
+  const list = Array.isArray(sort) ? sort : (sort?.col ? [sort] : []);
+  const seen = new Set();
+  const out = [];
+  for (const k of list) {
+    if (!k || typeof k.col !== "string" || seen.has(k.col)) continue;
+    seen.add(k.col);
+    out.push({ col: k.col, dir: k.dir === "desc" ? "desc" : "asc" });
+  }
+  return out;
+}
+
+// "16 GB", "2.5kg", "512 MB", "30 min": the number scaled to the unit's base (unknown units count as 1)
+const UNIT_VALUE_RE = /^([-+]?(?:\d{1,3}(?:,\d{3})+|\d+)?(?:\.\d+)?)\s*([a-zµ%"']*)$/i;
+const UNIT_SCALES = new Map([
+  ["b", 1], ["kb", 1024], ["mb", 1024 ** 2], ["gb", 1024 ** 3], ["tb", 1024 ** 4], ["pb", 1024 ** 5],
+  ["mg", 1e-3], ["g", 1], ["kg", 1e3], ["t", 1e6], ["oz", 28.3495], ["lb", 453.592], ["lbs", 453.592],
+  ["mm", 1e-3], ["cm", 1e-2], ["m", 1], ["km", 1e3], ["in", 0.0254], ['"', 0.0254], ["ft", 0.3048], ["'", 0.3048],
+  ["ms", 1e-3], ["s", 1], ["sec", 1], ["min", 60], ["h", 3600], ["hr", 3600], ["hrs", 3600], ["d", 86400], ["days", 86400],
+  ["hz", 1], ["khz", 1e3], ["mhz", 1e6], ["ghz", 1e9],
+]);
+
+function parseUnitValue(v) {
+  const m = UNIT_VALUE_RE.exec(v);
+  if (!m || !/\d/.test(m[1])) return null;
+  const n = Number(m[1].replace(/,/g, ""));
+  return Number.isFinite(n) ? n * (UNIT_SCALES.get(m[2].toLowerCase()) ?? 1) : null;
+}
+
+// "1.10.2", "v2.0", "3.1.4-beta" -> { parts, suffix }
+const VERSION_RE = /^v?(\d+(?:\.\d+)+)(?:[-+_ ]?([0-9a-z.-]+))?$/i;
+
+function parseVersion(v) {
+  const m = VERSION_RE.exec(v);
+  return m ? { parts: m[1].split(".").map(Number), suffix: m[2] || "" } : null;
+}
+
+// Numeric part by part; a release sorts after its pre-release ("1.0" > "1.0-beta")
+function compareVersions(a, b) {
+  for (let i = 0; i < Math.max(a.parts.length, b.parts.length); i++) {
+    const d = (a.parts[i] || 0) - (b.parts[i] || 0);
+    if (d) return d;
+  }
+  if (!a.suffix !== !b.suffix) return a.suffix ? -1 : 1;
+  return compareSortValues(a.suffix, b.suffix);
+}
+
+function sortKeyParser(type) {
+  if (type === "number") return parseNumberValue;
+  if (type === "date") return parseDateValue;
+  if (type === "boolean") return (v) => { const b = parseBooleanValue(v); return b === null ? null : Number(b); };
+  return null;
+}
+
+// Comparator over value codes. Typed columns compare parsed keys (blanks / unparseable values after them);
+// text columns whose values are all numbers with units, or all version strings, compare as such.
+function codeComparator(values, type) {
+  let parse = sortKeyParser(type);
+  if (type === "text") {
+    const present = values.filter(Boolean);
+    if (present.length && present.every(v => parseUnitValue(v) !== null)) {
+      parse = parseUnitValue;
+    } else if (present.length && present.every(v => parseVersion(v) !== null)) {
+      const versions = values.map(v => (v ? parseVersion(v) : null));
+      return (a, b) => {
+        const x = versions[a], y = versions[b];
+        if (x && y) return compareVersions(x, y) || compareSortValues(values[a], values[b]);
+        if (x) return 1; // blanks first, as for plain text
+        if (y) return -1;
+        return 0;
+      };
+    }
+  }
+
+  const keys = parse ? values.map(parse) : null;
+  return (a, b) => {
+    if (keys) {
+      const x = keys[a], y = keys[b];
+      if (x !== null && y !== null) return x - y || compareSortValues(values[a], values[b]);
+      if (x !== null) return -1;
+      if (y !== null) return 1;
+    }
+    return compareSortValues(values[a], values[b]);
+  };
+}
+
+// Sort position of every value code (computed once per column and type, on first sort)
+function valueRanks(entry, type) {
+  if (entry.rank && entry.rankType === type) return entry.rank;
+
+  const order = entry.values.map((_, code) => code).sort(codeComparator(entry.values, type));
+  entry.rank = new Int32Array(order.length);
+  entry.rankType = type;
+  order.forEach((code, pos) => { entry.rank[code] = pos; });
+  return entry.rank;
+}
+
+// Stable multi-key sort: each key in turn, then original row order
+function sortRowIds(ctx, ids, sortState) {
+  const keys = normalizeSortState(sortState)
+    .filter(k => ctx.index.has(k.col))
+    .map((k) => {
+      const entry = ctx.index.get(k.col);
+      return { codes: entry.codes, rank: valueRanks(entry, ctx.types[k.col] || "text"), sign: k.dir === "asc" ? 1 : -1 };
+    });
+  if (!keys.length) return ids;
+
+  return ids.sort((a, b) => {
+    for (const k of keys) {
+      const d = k.rank[k.codes[a]] - k.rank[k.codes[b]];
+      if (d) return k.sign * d;
+    }
+    return a - b;
+  });
+}
+
+// ---------- Query ----------
+// Filter + facet + summarize + sort for the APPLIED state; returns row indices rather than rows.
+// `summaries` is the dashboard cards (see summaryPayload).
+function runQuery(ctx, state, sortState, summaries, progress) {
+  const size = ctx.rows.length;
+  const steps = 2 + ctx.columns.length;
+
+  progress("filter", 0);
+  const constraints = buildConstraints(ctx, state);
+  const matched = intersectConstraints(size, constraints);
+  const unfiltered = !constraints.length;
+
+  const facets = [];
+  ctx.columns.forEach((col, n) => {
+    progress("facets", (1 + n) / steps);
+    const entry = ctx.index.get(col);
+    const own = constraints.some(c => c.col === col);
+    const base = unfiltered ? null : (own ? intersectConstraints(size, constraints, col) : matched);
+    facets.push(facetPayload(col, entry, countCodes(entry, base)));
+  });
+
+  const summaryOut = (summaries || []).map(s => summaryPayload(ctx, s, unfiltered ? null : matched));
+
+  progress("sort", (steps - 1) / steps);
+  const ids = sortRowIds(ctx, matched.toIds(), sortState);
+
+  return { ids, facets, summaries: summaryOut };
+}
+
+// ---------- Pivot ----------
+// Works on the index codes of the matching rows: rows are first counted per distinct combination of
+// dimension codes, and only those combinations build the tree. Cells hold { count, n, sum } (n / sum over
+// the measure values that parse as numbers); the rows behind a cell are fetched on demand (pivotRowIds).
+const PIVOT_TOTAL = "\u0000";           // column key of the row total
+const PIVOT_KEY_SEP = "\u001f";
+
+function comparePivotValues(a, b) {
+  return compareSortValues(a, b) || a.localeCompare(b);
+}
+
+// { root, colKeys: [{ key, values }] }; root is the grand total, nodes are { values, cells: Map<colKey, cell>, children }
+function pivotPayload(ctx, state, { rowDims, colDims, measure }) {
+  const size = ctx.rows.length;
+  const constraints = buildConstraints(ctx, state);
+  const set = constraints.length ? intersectConstraints(size, constraints) : null;
+
+  const rowEntries = rowDims.map(c => ctx.index.get(c)).filter(Boolean);
+  const colEntries = colDims.map(c => ctx.index.get(c)).filter(Boolean);
+  const dims = [...rowEntries, ...colEntries];
+  const m = measure ? ctx.index.get(measure) : null;
+  const numbers = m ? codeNumbers(m, "number") : null;
+
+  // one key per combination of dimension codes; a number while it fits, else a string
+  const radix = dims.reduce((p, e) => p * e.values.length, 1);
+  const keyOf = radix <= Number.MAX_SAFE_INTEGER
+    ? (i) => dims.reduce((k, e) => k * e.values.length + e.codes[i], 0)
+    : (i) => dims.map(e => e.codes[i]).join(",");
+
+  const combos = new Map(); // key -> { row (first row holding it), count, n, sum }
+  const addRow = (i) => {
+    const key = keyOf(i);
+    let combo = combos.get(key);
+    if (!combo) {
+      combo = { row: i, count: 0, n: 0, sum: 0 };
+      combos.set(key, combo);
+    }
+    combo.count++;
+    const x = numbers ? numbers[m.codes[i]] : null;
+    if (x !== null && Number.isFinite(x)) { combo.n++; combo.sum += x; }
+  };
+  if (set) set.forEach(addRow);
+  else for (let i = 0; i < size; i++) addRow(i);
+
+  const root = { values: [], cells: new Map(), children: new Map() };
+  const colKeys = new Map();
+
+  for (const combo of combos.values()) {
+    const colValues = colEntries.map(e => e.values[e.codes[combo.row]]);
+    const colKey = colEntries.length ? colValues.join(PIVOT_KEY_SEP) : PIVOT_TOTAL;
+    if (colEntries.length && !colKeys.has(colKey)) colKeys.set(colKey, colValues);
+
+    const add = (node) => {
+      for (const key of colKey === PIVOT_TOTAL ? [colKey] : [colKey, PIVOT_TOTAL]) {
+        let cell = node.cells.get(key);
+        if (!cell) {
+          cell = { count: 0, n: 0, sum: 0 };
+          node.cells.set(key, cell);
+        }
+        cell.count += combo.count;
+        cell.n += combo.n;
+        cell.sum += combo.sum;
+      }
+    };
+
+    let node = root;
+    add(node);
+    for (const e of rowEntries) {
+      const v = e.values[e.codes[combo.row]];
+      let child = node.children.get(v);
+      if (!child) {
+        child = { values: [...node.values, v], cells: new Map(), children: new Map() };
+        node.children.set(v, child);
+      }
+      node = child;
+      add(node);
+    }
+  }
+
+  const sortedCols = Array.from(colKeys, ([key, values]) => ({ key, values }))
+    .sort((a, b) => {
+      for (let d = 0; d < a.values.length; d++) {
+        const c = comparePivotValues(a.values[d], b.values[d]);
+        if (c) return c;
+      }
+      return 0;
+    });
+  return { root, colKeys: sortedCols };
+}
+
+// Matching rows holding every [col, value] of `where` (one pivot cell), in sort order
+function pivotRowIds(ctx, state, sortState, where) {
+  const size = ctx.rows.length;
+  const set = intersectConstraints(size, buildConstraints(ctx, state));
+  for (const [col, value] of where) {
+    const entry = ctx.index.get(col);
+    const code = entry ? entry.codeOf.get(value) : undefined;
+    const cell = new RowSet(size);
+    if (code !== undefined) cell.addIds(entry.postings[code]);
+    set.andWith(cell);
+  }
+  return sortRowIds(ctx, set.toIds(), sortState);
+}
+
+// ---------- Snapshot diff ----------
+// Pairs rows of two datasets on `key` (repeated keys pair up in order of appearance).
+// Only columns present in both snapshots are compared; added/removed columns are reported separately.
+function diffDatasets(base, target, key) {
+  const keyed = (rows) => {
+    const byKey = new Map();
+    const seen = new Map();
+    for (const r of rows) {
+      const k = normalizeValue(r[key]);
+      const n = seen.get(k) || 0;
+      seen.set(k, n + 1);
+      byKey.set(n ? `${k}\u0000${n}` : k, r);
+    }
+    return byKey;
+  };
+
+  const shared = target.columns.filter(c => base.columns.includes(c));
+  const before = keyed(base.rows);
+  const after = keyed(target.rows);
+
+  const added = [];
+  const removed = [];
+  const modified = [];
+  let unchanged = 0;
+
+  for (const [k, row] of after) {
+    const old = before.get(k);
+    if (!old) { added.push(row); continue; }
+    const changed = shared.filter(c => normalizeValue(old[c]) !== normalizeValue(row[c]));
+    if (changed.length) modified.push({ before: old, after: row, changed });
+    else unchanged++;
+  }
+  for (const [k, row] of before) {
+    if (!after.has(k)) removed.push(row);
+  }
+
+  return {
+    key,
+    columns: [...target.columns, ...base.columns.filter(c => !target.columns.includes(c))],
+    added,
+    removed,
+    modified,
+    unchanged,
+    addedColumns: target.columns.filter(c => !base.columns.includes(c)),
+    removedColumns: base.columns.filter(c => !target.columns.includes(c))
+  };
+}
+
+// ---------- Protocol ----------
+/* Requests:  { type: "preview", id, file, options }  first PREVIEW_ROWS rows, nothing is loaded
+              { type: "parse", id, file, options }    options: { sheet, delimiter, encoding, skipLines, types }
+              { type: "load",  id, columns, rows, types }
+              { type: "types", id, types }            column type overrides (sorting / typed filters)
+              { type: "query", id, state, sort, summaries }
+              { type: "pivot", id, state, spec }       spec: { rowDims, colDims, measure }
+              { type: "pivotRows", id, state, sort, where }   where: [[col, value]] of one pivot cell
+   Responses: { type: "progress", id, phase, ratio }
+              { type: "result",   id, ...payload }   preview/parse: { columns, rows, types, issues, issueCount } or { sheets }
+              { type: "error",    id, message }
+*/
+function createEngineContext() {
+  return { columns: [], rows: [], types: {}, index: new Map() };
+}
+
+function loadDataset(ctx, columns, rows, types, progress) {
+  ctx.columns = columns;
+  ctx.rows = rows;
+  ctx.types = types || inferColumnTypes(columns, rows);
+  ctx.index = buildColumnIndex(rows, columns, progress);
+}
+
+function handleEngineMessage(ctx, msg, post) {
+  const { type, id } = msg;
+  const progress = (phase, ratio) => post({ type: "progress", id, phase, ratio });
+  const fail = (err) => post({ type: "error", id, message: err?.message || String(err) });
+
+  try {
+    if (type === "preview" || type === "parse") {
+      const options = msg.options || {};
+      const preview = type === "preview";
+
+      detectImporter(msg.file).parse(msg.file, preview ? { ...options, preview: PREVIEW_ROWS } : options, {
+        onProgress: (ratio) => progress("parse", ratio),
+        // may run after this call has returned (CSV parsing completes asynchronously), outside the try below
+        onComplete: (parsed) => {
+          try {
+            if (parsed.sheets) {
+              post({ type: "result", id, sheets: parsed.sheets });
+              return;
+            }
+
+            const { columns, rows } = parsed;
+            const types = inferColumnTypes(columns, rows, options.types);
+            const issues = [...typeIssues(columns, rows, types), ...(parsed.issues || [])];
+            const issueCount = issues.length - (parsed.issues || []).length + (parsed.issueCount || 0);
+
+            if (!preview) loadDataset(ctx, columns, rows, types, progress);
+            post({ type: "result", id, columns, rows, types, issues, issueCount, delimiter: parsed.delimiter || "" });
+          } catch (err) {
+            fail(err);
+          }
+        },
+        onError: fail
+      });
+      return;
+    }
+
+    if (type === "load") {
+      loadDataset(ctx, msg.columns, msg.rows, msg.types, progress);
+      post({ type: "result", id });
+      return;
+    }
+
+    if (type === "types") {
+      ctx.types = { ...ctx.types, ...msg.types };
+      post({ type: "result", id });
+      return;
+    }
+
+    if (type === "query") {
+      const result = runQuery(ctx, msg.state, msg.sort, msg.summaries, progress);
+      post({ type: "result", id, ...result }, [result.ids.buffer]);
+      return;
+    }
+
+    if (type === "pivot") {
+      post({ type: "result", id, ...pivotPayload(ctx, msg.state, msg.spec) });
+      return;
+    }
+
+    if (type === "pivotRows") {
+      const ids = pivotRowIds(ctx, msg.state, msg.sort, msg.where);
+      post({ type: "result", id, ids }, [ids.buffer]);
+      return;
+    }
+
+    fail(new Error(`Unknown engine request: ${type}`));
+  } catch (err) {
+    fail(err);
+  }
+}
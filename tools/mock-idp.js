@@ -0,0 +1,205 @@
+/* Mock OpenID Connect provider for local testing (no dependencies)
+   - Usage: node tools/mock-idp.js            (http://localhost:9000)
+            PORT=9100 TOKEN_TTL=30 node tools/mock-idp.js
+   - Authorization code flow with PKCE (S256 only), refresh tokens (rotated on use), userinfo, end session
+   - The sign-in page lists the test users below; pick one (no password). ID tokens carry their `roles` claim
+   - Tokens are HS256-signed with a throwaway key: this is a test double, never use it for real data
+*/
+
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 9000;
+const ISSUER = process.env.ISSUER || `http://localhost:${PORT}`;
+const TOKEN_TTL = Number(process.env.TOKEN_TTL) || 300; // access / id token lifetime, seconds
+const CLIENT_ID = process.env.CLIENT_ID || "reports-dashboard";
+const SIGNING_KEY = crypto.randomBytes(32);
+
+const USERS = [
+  { sub: "u-alice", name: "Alice Admin", email: "alice@example.com", roles: ["admin"] },
+  { sub: "u-bob", name: "Bob Analyst", email: "bob@example.com", roles: ["analyst"] },
+  { sub: "u-carol", name: "Carol Viewer", email: "carol@example.com", roles: ["viewer"] }
+];
+
+const codes = new Map();         // code -> { clientId, redirectUri, challenge, nonce, scope, sub, expires }
+const refreshTokens = new Map(); // token -> { clientId, scope, sub }
+const accessTokens = new Map();  // token -> { sub, expires }
+
+function base64url(buf) {
+  return Buffer.from(buf).toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function randomToken() {
+  return base64url(crypto.randomBytes(32));
+}
+
+function signJwt(claims) {
+  const head = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64url(JSON.stringify(claims));
+  const sig = base64url(crypto.createHmac("sha256", SIGNING_KEY).update(`${head}.${body}`).digest());
+  return `${head}.${body}.${sig}`;
+}
+
+function escapeHtml(v) {
+  return String(v).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Headers": "Authorization, Content-Type", ...headers });
+  res.end(body);
+}
+
+function sendJson(res, status, data) {
+  send(res, status, JSON.stringify(data), { "Content-Type": "application/json", "Cache-Control": "no-store" });
+}
+
+function redirect(res, url) {
+  send(res, 302, "", { Location: url });
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let text = "";
+    req.on("data", (chunk) => { text += chunk; });
+    req.on("end", () => resolve(new URLSearchParams(text)));
+    req.on("error", reject);
+  });
+}
+
+function issueTokens(sub, clientId, scope, nonce) {
+  const user = USERS.find(u => u.sub === sub);
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = randomToken();
+  accessTokens.set(accessToken, { sub, expires: Date.now() + TOKEN_TTL * 1000 });
+  const tokens = {
+    token_type: "Bearer",
+    access_token: accessToken,
+    expires_in: TOKEN_TTL,
+    scope,
+    id_token: signJwt({ iss: ISSUER, aud: clientId, sub, name: user.name, email: user.email, roles: user.roles, iat: now, exp: now + TOKEN_TTL, ...(nonce ? { nonce } : {}) })
+  };
+  if (scope.split(" ").includes("offline_access")) {
+    tokens.refresh_token = randomToken();
+    refreshTokens.set(tokens.refresh_token, { clientId, scope, sub });
+  }
+  return tokens;
+}
+
+function authorizeError(res, params, error, description) {
+  const url = new URL(params.get("redirect_uri"));
+  url.searchParams.set("error", error);
+  url.searchParams.set("error_description", description);
+  if (params.get("state")) url.searchParams.set("state", params.get("state"));
+  redirect(res, url.toString());
+}
+
+function loginPage(params) {
+  const hidden = [...params].map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}">`).join("");
+  const users = USERS.map(u => `<button name="sub" value="${u.sub}">${escapeHtml(u.name)} <small>${escapeHtml(u.email)}</small></button>`).join("");
+  return `<!doctype html><meta charset="utf-8"><title>Mock IdP sign-in</title>
+<style>body{font-family:system-ui,sans-serif;max-width:420px;margin:60px auto}button{display:block;width:100%;margin:8px 0;padding:10px;text-align:left}small{color:#666}</style>
+<h2>Mock IdP</h2><p>Sign in to <b>${escapeHtml(params.get("client_id"))}</b> as:</p>
+<form method="post" action="/authorize">${hidden}${users}<button name="deny" value="1">Cancel</button></form>`;
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, ISSUER);
+
+  if (req.method === "OPTIONS") return send(res, 204, "");
+
+  if (url.pathname === "/.well-known/openid-configuration") {
+    return sendJson(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      end_session_endpoint: `${ISSUER}/logout`,
+      response_types_supported: ["code"],
+      grant_types_supported: ["authorization_code", "refresh_token"],
+      code_challenge_methods_supported: ["S256"],
+      scopes_supported: ["openid", "profile", "email", "offline_access"],
+      id_token_signing_alg_values_supported: ["HS256"]
+    });
+  }
+
+  if (url.pathname === "/authorize") {
+    const params = req.method === "POST" ? await readForm(req) : url.searchParams;
+    if (params.get("client_id") !== CLIENT_ID || !params.get("redirect_uri")) {
+      return send(res, 400, "Unknown client_id or missing redirect_uri.");
+    }
+    if (params.get("response_type") !== "code") return authorizeError(res, params, "unsupported_response_type", "Only the code flow is supported.");
+    if (params.get("code_challenge_method") !== "S256" || !params.get("code_challenge")) {
+      return authorizeError(res, params, "invalid_request", "PKCE with S256 is required.");
+    }
+    if (req.method === "GET") {
+      if (params.get("prompt") === "none") return authorizeError(res, params, "login_required", "No session at the mock IdP.");
+      return send(res, 200, loginPage(params), { "Content-Type": "text/html; charset=utf-8" });
+    }
+    if (params.get("deny")) return authorizeError(res, params, "access_denied", "The user cancelled sign-in.");
+    if (!USERS.some(u => u.sub === params.get("sub"))) return send(res, 400, "Unknown user.");
+
+    const code = randomToken();
+    codes.set(code, {
+      clientId: params.get("client_id"),
+      redirectUri: params.get("redirect_uri"),
+      challenge: params.get("code_challenge"),
+      nonce: params.get("nonce") || "",
+      scope: params.get("scope") || "openid",
+      sub: params.get("sub"),
+      expires: Date.now() + 60_000
+    });
+    const back = new URL(params.get("redirect_uri"));
+    back.searchParams.set("code", code);
+    if (params.get("state")) back.searchParams.set("state", params.get("state"));
+    return redirect(res, back.toString());
+  }
+
+  if (url.pathname === "/token" && req.method === "POST") {
+    const form = await readForm(req);
+    const grant = form.get("grant_type");
+
+    if (grant === "authorization_code") {
+      const entry = codes.get(form.get("code"));
+      codes.delete(form.get("code")); // single use
+      if (!entry || entry.expires < Date.now()) return sendJson(res, 400, { error: "invalid_grant", error_description: "Unknown or expired code." });
+      if (entry.clientId !== form.get("client_id") || entry.redirectUri !== form.get("redirect_uri")) {
+        return sendJson(res, 400, { error: "invalid_grant", error_description: "client_id or redirect_uri does not match." });
+      }
+      const challenge = base64url(crypto.createHash("sha256").update(form.get("code_verifier") || "").digest());
+      if (challenge !== entry.challenge) return sendJson(res, 400, { error: "invalid_grant", error_description: "PKCE verification failed." });
+      return sendJson(res, 200, issueTokens(entry.sub, entry.clientId, entry.scope, entry.nonce));
+    }
+
+    if (grant === "refresh_token") {
+      const entry = refreshTokens.get(form.get("refresh_token"));
+      refreshTokens.delete(form.get("refresh_token")); // rotation: each refresh token works once
+      if (!entry || entry.clientId !== form.get("client_id")) {
+        return sendJson(res, 400, { error: "invalid_grant", error_description: "Unknown or used refresh token." });
+      }
+      return sendJson(res, 200, issueTokens(entry.sub, entry.clientId, entry.scope, ""));
+    }
+
+    return sendJson(res, 400, { error: "unsupported_grant_type" });
+  }
+
+  if (url.pathname === "/userinfo") {
+    const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+    const entry = accessTokens.get(token);
+    if (!entry || entry.expires < Date.now()) return sendJson(res, 401, { error: "invalid_token" });
+    const { sub, name, email, roles } = USERS.find(u => u.sub === entry.sub);
+    return sendJson(res, 200, { sub, name, email, roles });
+  }
+
+  if (url.pathname === "/logout") {
+    const back = url.searchParams.get("post_logout_redirect_uri");
+    return back ? redirect(res, back) : send(res, 200, "Signed out of the mock IdP.");
+  }
+
+  return send(res, 404, "Not found");
+}
+
+http.createServer((req, res) => {
+  handle(req, res).catch((err) => send(res, 500, String(err?.message || err)));
+}).listen(PORT, () => {
+  console.log(`Mock IdP on ${ISSUER} (client_id ${CLIENT_ID}, tokens valid ${TOKEN_TTL}s)`);
+});
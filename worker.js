@@ -0,0 +1,12 @@
+/* Report engine worker
+   - Runs parsing / filtering / facet counting / sorting off the main thread
+   - Protocol is defined in engine.js (handleEngineMessage)
+*/
+
+importScripts("https://cdn.jsdelivr.net/npm/papaparse@5.4.1/papaparse.min.js", "engine.js");
+
+const ctx = createEngineContext();
+
+self.onmessage = (ev) => {
+  handleEngineMessage(ctx, ev.data, (msg, transfer) => self.postMessage(msg, transfer || []));
+};